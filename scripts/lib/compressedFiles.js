@@ -0,0 +1,139 @@
+/**
+ * scripts/lib/compressedFiles.js
+ *
+ * Open plain, gzip and zip inputs as a single byte stream without unpacking
+ * them to disk first.
+ *
+ *   .gz / .csv.gz  -> gunzip on the fly
+ *   .zip           -> the one .csv (or .json) entry inside, inflated on the fly
+ *   anything else  -> read as-is
+ *
+ * The zip reader only covers what vendor drops actually use: stored/deflated
+ * entries, no encryption, no zip64. It reads the central directory so entries
+ * written with data descriptors are handled too.
+ */
+
+const fs = require("fs");
+const zlib = require("zlib");
+const { pipeline, Readable } = require("stream");
+
+const EOCD_SIG = 0x06054b50;
+const CDIR_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/**
+ * List entries of a zip file: [{ name, method, compressedSize, size, dataOffset }].
+ */
+async function listZipEntries(file) {
+  const fh = await fs.promises.open(file, "r");
+  try {
+    const { size } = await fh.stat();
+
+    // End-of-central-directory record: 22 bytes + up to 64K comment.
+    const tailLen = Math.min(size, 22 + 0xffff);
+    const tail = await readAt(fh, size - tailLen, tailLen);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIG) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error(`${file}: not a zip file (no end of central directory)`);
+
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const cdirSize = tail.readUInt32LE(eocd + 12);
+    const cdirOffset = tail.readUInt32LE(eocd + 16);
+    if (entryCount === 0xffff || cdirSize === 0xffffffff || cdirOffset === 0xffffffff) {
+      throw new Error(`${file}: zip64 archives are not supported`);
+    }
+
+    const cdir = await readAt(fh, cdirOffset, cdirSize);
+    const entries = [];
+    let p = 0;
+    for (let n = 0; n < entryCount; n++) {
+      if (cdir.readUInt32LE(p) !== CDIR_SIG) throw new Error(`${file}: corrupt zip central directory`);
+
+      const flags = cdir.readUInt16LE(p + 8);
+      const method = cdir.readUInt16LE(p + 10);
+      const compressedSize = cdir.readUInt32LE(p + 20);
+      const uncompressedSize = cdir.readUInt32LE(p + 24);
+      const nameLen = cdir.readUInt16LE(p + 28);
+      const extraLen = cdir.readUInt16LE(p + 30);
+      const commentLen = cdir.readUInt16LE(p + 32);
+      const localOffset = cdir.readUInt32LE(p + 42);
+      const name = cdir.toString("utf8", p + 46, p + 46 + nameLen);
+      p += 46 + nameLen + extraLen + commentLen;
+
+      if (flags & 0x1) throw new Error(`${file}: entry ${name} is encrypted`);
+
+      // Local header name/extra lengths can differ from the central directory's.
+      const local = await readAt(fh, localOffset, 30);
+      if (local.readUInt32LE(0) !== LOCAL_SIG) throw new Error(`${file}: corrupt local header for ${name}`);
+      const dataOffset = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+      entries.push({ name, method, compressedSize, size: uncompressedSize, dataOffset });
+    }
+    return entries;
+  } finally {
+    await fh.close();
+  }
+}
+
+function openZipEntry(file, entry) {
+  if (entry.compressedSize === 0) return Readable.from([]);
+
+  const raw = fs.createReadStream(file, {
+    start: entry.dataOffset,
+    end: entry.dataOffset + entry.compressedSize - 1,
+  });
+  if (entry.method === 0) return raw;
+  if (entry.method === 8) return pipeline(raw, zlib.createInflateRaw(), () => {});
+  throw new Error(`${file}: entry ${entry.name} uses unsupported compression method ${entry.method}`);
+}
+
+function compressionOf(file) {
+  const f = file.toLowerCase();
+  if (f.endsWith(".gz")) return "gzip";
+  if (f.endsWith(".zip")) return "zip";
+  return "none";
+}
+
+/**
+ * Open a (possibly compressed) file as a readable byte stream.
+ * For zips, `entryPattern` picks the entry; exactly one file must match.
+ */
+async function openInputStream(file, { entryPattern = /\.(csv|json)$/i } = {}) {
+  const kind = compressionOf(file);
+
+  if (kind === "gzip") {
+    return pipeline(fs.createReadStream(file), zlib.createGunzip(), () => {});
+  }
+
+  if (kind === "zip") {
+    const entries = (await listZipEntries(file)).filter(
+      (e) => !e.name.endsWith("/") && !e.name.startsWith("__MACOSX/") && entryPattern.test(e.name)
+    );
+    if (entries.length !== 1) {
+      throw new Error(
+        `${file}: expected exactly one matching entry in zip, found ${entries.length}` +
+          (entries.length ? ` (${entries.map((e) => e.name).join(", ")})` : "")
+      );
+    }
+    return openZipEntry(file, entries[0]);
+  }
+
+  return fs.createReadStream(file);
+}
+
+module.exports = {
+  compressionOf,
+  listZipEntries,
+  openInputStream,
+};
@@ -0,0 +1,104 @@
+/**
+ * scripts/lib/csv.js
+ *
+ * Streaming CSV reading and minimal CSV writing shared by the importers.
+ */
+
+const { openInputStream } = require("./compressedFiles");
+
+// Minimal streaming CSV parser that handles quoted commas.
+// Feed it chunks with push(); it returns the rows completed so far and keeps
+// partial-row / open-quote state between chunks so memory stays flat.
+function createCsvParser() {
+  let row = [];
+  let cur = "";
+  let inQuotes = false;
+  let pendingQuote = false; // saw '"' at the very end of a chunk while inQuotes
+
+  function push(text) {
+    const rows = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (ch === '"') {
+          cur += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (ch === '"') {
+          if (i + 1 >= text.length) pendingQuote = true;
+          else if (text[i + 1] === '"') {
+            cur += '"';
+            i++;
+          } else inQuotes = false;
+        } else {
+          cur += ch;
+        }
+      } else {
+        if (ch === '"') inQuotes = true;
+        else if (ch === ",") {
+          row.push(cur);
+          cur = "";
+        } else if (ch === "\n") {
+          row.push(cur);
+          rows.push(row);
+          row = [];
+          cur = "";
+        } else if (ch === "\r") {
+          // ignore
+        } else cur += ch;
+      }
+    }
+    return rows;
+  }
+
+  function end() {
+    if (pendingQuote) {
+      pendingQuote = false;
+      inQuotes = false;
+    }
+    // final cell
+    if (cur.length || row.length) {
+      row.push(cur);
+      const last = row;
+      row = [];
+      cur = "";
+      return [last];
+    }
+    return [];
+  }
+
+  return { push, end };
+}
+
+/**
+ * Yield parsed rows from a CSV file (plain, .gz or .zip).
+ */
+async function* readCsvRows(file) {
+  const parser = createCsvParser();
+  const stream = await openInputStream(file, { entryPattern: /\.csv$/i });
+  stream.setEncoding("utf8");
+  for await (const chunk of stream) {
+    for (const r of parser.push(chunk)) yield r;
+  }
+  for (const r of parser.end()) yield r;
+}
+
+// Quote a value for CSV output when it contains a delimiter, quote or newline.
+function csvCell(value) {
+  const s = value == null ? "" : String(value);
+  if (/[",\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+module.exports = {
+  createCsvParser,
+  readCsvRows,
+  csvCell,
+};
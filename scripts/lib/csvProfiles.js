@@ -0,0 +1,201 @@
+/**
+ * scripts/lib/csvProfiles.js
+ *
+ * Declarative CSV column-mapping profiles (config/csv_profiles.json).
+ *
+ * A profile maps source headers to target columns:
+ *
+ *   "pricecharting": {
+ *     "vendor": "pricecharting",
+ *     "games": ["pokemon", "yugioh", "mtg"],   // optional; restricts which --game may use it
+ *     "unknownHeaders": "error",               // "error" | "warn" | "ignore"
+ *     "columns": {
+ *       "loose_price_cents": {
+ *         "headers": ["loose-price", "loose_price"],  // accepted header spellings
+ *         "type": "money",                            // "text" (default) | "money" | "date"
+ *         "format": "decimal",                        // money only: "decimal" | "decimal_comma" | "cents"
+ *         "required": true
+ *       }
+ *     },
+ *     "ignore": ["genre", "upc"]               // known headers we deliberately don't load
+ *   }
+ *
+ * "extends": "<other profile>" inherits everything; child columns replace the
+ * parent's column of the same name and "ignore" lists are concatenated.
+ *
+ * Header matching uses normalizeHeader() on both sides, so "Loose Price",
+ * "loose price" and "loose_price" are the same header.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PROFILES_PATH = path.resolve(__dirname, "../../config/csv_profiles.json");
+
+const MONEY_FORMATS = ["decimal", "decimal_comma", "cents"];
+const COLUMN_TYPES = ["text", "money", "date"];
+
+function normalizeHeader(h) {
+  return String(h || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "_")
+    .replace(/[^a-z0-9_]/g, "");
+}
+
+function loadProfiles(file = DEFAULT_PROFILES_PATH) {
+  const text = fs.readFileSync(file, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Flatten a profile's "extends" chain and sanity-check its column specs.
+ */
+function resolveProfile(profiles, name, seen = new Set()) {
+  const p = profiles[name];
+  if (!p) throw new Error(`Unknown CSV profile "${name}" (have: ${Object.keys(profiles).join(", ")})`);
+  if (seen.has(name)) throw new Error(`CSV profile "${name}" extends itself`);
+  seen.add(name);
+
+  const parent = p.extends ? resolveProfile(profiles, p.extends, seen) : null;
+
+  const resolved = {
+    name,
+    vendor: p.vendor ?? parent?.vendor ?? null,
+    games: p.games ?? parent?.games ?? null,
+    unknownHeaders: p.unknownHeaders ?? parent?.unknownHeaders ?? "error",
+    columns: { ...(parent?.columns || {}), ...(p.columns || {}) },
+    ignore: [...(parent?.ignore || []), ...(p.ignore || [])],
+  };
+
+  for (const [target, col] of Object.entries(resolved.columns)) {
+    if (!Array.isArray(col.headers) || !col.headers.length) {
+      throw new Error(`CSV profile "${name}": column ${target} has no headers`);
+    }
+    const type = col.type || "text";
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(`CSV profile "${name}": column ${target} has unknown type "${type}"`);
+    }
+    if (type === "money" && !MONEY_FORMATS.includes(col.format || "decimal")) {
+      throw new Error(`CSV profile "${name}": column ${target} has unknown money format "${col.format}"`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Default profile for a vendor/game: "<vendor>-<game>" when it exists, else "<vendor>".
+ */
+function pickProfileName(profiles, vendor, game) {
+  const specific = `${vendor}-${game}`;
+  return profiles[specific] ? specific : vendor;
+}
+
+/**
+ * Check a header row against a resolved profile.
+ *
+ * Returns { index, errors, warnings } where index maps target column -> cell index.
+ * errors covers duplicated headers, two headers feeding the same target, missing
+ * required columns and (per unknownHeaders) unknown headers.
+ */
+function validateHeaders(profile, rawHeaders) {
+  const errors = [];
+  const warnings = [];
+  const headers = rawHeaders.map(normalizeHeader);
+
+  const seenAt = new Map();
+  headers.forEach((h, i) => {
+    if (!h) return;
+    if (seenAt.has(h)) {
+      errors.push(`duplicated header "${rawHeaders[i]}" (columns ${seenAt.get(h) + 1} and ${i + 1})`);
+    } else seenAt.set(h, i);
+  });
+
+  const index = {};
+  const mapped = new Set();
+  for (const [target, col] of Object.entries(profile.columns)) {
+    const hits = col.headers
+      .map(normalizeHeader)
+      .filter((h) => seenAt.has(h));
+    const unique = [...new Set(hits)];
+
+    if (unique.length > 1) {
+      const names = unique.map((h) => `"${rawHeaders[seenAt.get(h)]}"`);
+      errors.push(`headers ${names.join(", ")} all map to ${target}`);
+    }
+    if (unique.length) {
+      index[target] = seenAt.get(unique[0]);
+      unique.forEach((h) => mapped.add(h));
+    } else if (col.required) {
+      errors.push(`missing required column ${target} (expected one of: ${col.headers.join(", ")})`);
+    } else {
+      warnings.push(`optional column ${target} not present; it will load as NULL`);
+    }
+  }
+
+  const ignored = new Set(profile.ignore.map(normalizeHeader));
+  const unknown = headers.filter((h) => h && !mapped.has(h) && !ignored.has(h));
+  if (unknown.length && profile.unknownHeaders !== "ignore") {
+    const msg = `unknown header(s): ${[...new Set(unknown)].join(", ")}`;
+    if (profile.unknownHeaders === "warn") warnings.push(msg);
+    else errors.push(msg);
+  }
+
+  return { index, errors, warnings };
+}
+
+function centsFromMoney(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  if (!s) return null;
+
+  // allow "$1,234.56" or "1234.56" or "1234"
+  const cleaned = s.replace(/[$,]/g, "");
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+
+  const n = Number(cleaned);
+  if (!Number.isFinite(n)) return null;
+  return Math.round(n * 100);
+}
+
+/**
+ * Parse a money cell in the given format into integer cents (null when blank or unparseable).
+ *   decimal        "$1,234.56", "1234.56", "1234"
+ *   decimal_comma  "1.234,56 €", "12,50"
+ *   cents          "123456"
+ */
+function parseMoney(v, format = "decimal") {
+  if (format === "decimal") return centsFromMoney(v);
+
+  if (v == null) return null;
+  const s = String(v).trim();
+  if (!s) return null;
+
+  if (format === "cents") {
+    if (!/^-?\d+$/.test(s)) return null;
+    return Number(s);
+  }
+
+  if (format === "decimal_comma") {
+    const cleaned = s.replace(/[€$£\s.]/g, "").replace(",", ".");
+    return centsFromMoney(cleaned);
+  }
+
+  throw new Error(`Unknown money format "${format}"`);
+}
+
+module.exports = {
+  DEFAULT_PROFILES_PATH,
+  normalizeHeader,
+  loadProfiles,
+  resolveProfile,
+  pickProfileName,
+  validateHeaders,
+  centsFromMoney,
+  parseMoney,
+};
@@ -0,0 +1,75 @@
+/**
+ * scripts/lib/jsonArrayStream.js
+ *
+ * Stream the objects out of a top-level JSON array ("[ {...}, {...} ]")
+ * without holding the whole document in memory. Each element is cut out by
+ * tracking brace depth (string/escape aware) and handed to JSON.parse on its own,
+ * so memory is bounded by the largest single element.
+ *
+ * Only object elements are supported, which is what bulk exports like
+ * Scryfall's default_cards / all_cards contain.
+ */
+
+/**
+ * @param {AsyncIterable<string>} chunks  text chunks (set the stream encoding to utf8)
+ * @returns {AsyncGenerator<object>}
+ */
+async function* parseJsonArray(chunks) {
+  let depth = 0; // 1 = inside the top-level array
+  let inString = false;
+  let escape = false;
+  let collecting = false;
+  let parts = [];
+  let sawArray = false;
+
+  for await (const chunk of chunks) {
+    let start = collecting ? 0 : -1;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+
+      if (inString) {
+        if (escape) escape = false;
+        else if (c === "\\") escape = true;
+        else if (c === '"') inString = false;
+        continue;
+      }
+
+      if (c === '"') {
+        if (!collecting) throw new Error("JSON array stream: only object elements are supported");
+        inString = true;
+      } else if (c === "{" || c === "[") {
+        if (depth === 0) {
+          if (c !== "[") throw new Error("JSON array stream: document is not an array");
+          sawArray = true;
+        } else if (depth === 1) {
+          if (c !== "{") throw new Error("JSON array stream: only object elements are supported");
+          collecting = true;
+          start = i;
+        }
+        depth++;
+      } else if (c === "}" || c === "]") {
+        depth--;
+        if (depth === 1 && collecting) {
+          parts.push(chunk.slice(start, i + 1));
+          const text = parts.join("");
+          parts = [];
+          collecting = false;
+          start = -1;
+          yield JSON.parse(text);
+        } else if (depth < 0) {
+          throw new Error("JSON array stream: unbalanced brackets");
+        }
+      } else if (depth === 1 && !collecting && !/[\s,]/.test(c)) {
+        throw new Error(`JSON array stream: unexpected "${c}" between elements`);
+      }
+    }
+
+    if (collecting) parts.push(chunk.slice(start));
+  }
+
+  if (!sawArray) throw new Error("JSON array stream: empty document");
+  if (depth !== 0 || collecting) throw new Error("JSON array stream: truncated document");
+}
+
+module.exports = { parseJsonArray };
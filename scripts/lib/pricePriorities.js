@@ -0,0 +1,176 @@
+/**
+ * scripts/lib/pricePriorities.js
+ *
+ * Source / price_type priority profiles for 03_build_market_price_daily.js
+ * (config/price_priorities.json).
+ *
+ *   {
+ *     "productTypeColumn": "product_type",      // market_items column used by productType rules
+ *     "profiles": {
+ *       "default": {                             // required; used when no rule matches
+ *         "sources": ["tcgplayer", "scryfall"],  // best first; unlisted sources rank last
+ *         "priceTypes": ["market", "trend"]      // best first; unlisted price types rank last
+ *       },
+ *       "yugioh": { "extends": "default", "sources": ["cardmarket", "tcgplayer"] }
+ *     },
+ *     "rules": [
+ *       { "game": "yugioh", "profile": "yugioh" },
+ *       { "game": "pokemon", "productType": "sealed", "profile": "sealed" }
+ *     ],
+ *     "variants": {                              // price_type -> daily series variant;
+ *       "foil": "foil", "graded": "graded"       // unlisted price types are the "default" series
+ *     },
+ *     "consensus": {                             // --method consensus settings
+ *       "outlier": "mad",                        // "mad" | "iqr" | "none"
+ *       "k": 3,                                  // band width (MADs, or IQRs beyond the quartiles)
+ *       "minSources": 3,                         // fewer sources than this: no outlier rejection
+ *       "defaultWeight": 0.5,                    // weight of sources not in sourceWeights
+ *       "fxWeight": 0.5,                         // weight multiplier for currency-converted prices
+ *       "sourceWeights": { "tcgplayer": 1, "ebay": 0.7 }
+ *     }
+ *   }
+ *
+ * An item gets the profile of its most specific matching rule
+ * (game + productType > productType > game), ties going to the earlier rule.
+ * "extends" inherits whichever of sources / priceTypes the child leaves out.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PRIORITIES_PATH = path.resolve(__dirname, "../../config/price_priorities.json");
+const DEFAULT_PROFILE = "default";
+const DEFAULT_VARIANT = "default";
+
+function loadPriorities(file = DEFAULT_PRIORITIES_PATH) {
+  const text = fs.readFileSync(file, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${file}: ${e.message}`);
+  }
+}
+
+function resolveProfile(profiles, name, seen = new Set()) {
+  const p = profiles[name];
+  if (!p) throw new Error(`Unknown priority profile "${name}" (have: ${Object.keys(profiles).join(", ")})`);
+  if (seen.has(name)) throw new Error(`Priority profile "${name}" extends itself`);
+  seen.add(name);
+
+  const parent = p.extends ? resolveProfile(profiles, p.extends, seen) : null;
+  const sources = p.sources ?? parent?.sources;
+  const priceTypes = p.priceTypes ?? parent?.priceTypes;
+
+  for (const [field, list] of [["sources", sources], ["priceTypes", priceTypes]]) {
+    if (!Array.isArray(list) || !list.length) {
+      throw new Error(`Priority profile "${name}": ${field} must be a non-empty list`);
+    }
+    if (new Set(list).size !== list.length) {
+      throw new Error(`Priority profile "${name}": ${field} lists a value twice`);
+    }
+  }
+
+  return { sources, priceTypes };
+}
+
+/**
+ * Validate a priorities config and flatten it into rows the builder can pass to SQL
+ * as jsonb (jsonb_to_recordset):
+ *   rules:          [{ profile, game, product_type, specificity, ord }]
+ *   sourceRanks:    [{ profile, source, rank }]
+ *   priceTypeRanks: [{ profile, price_type, rank }]
+ *   variants:       [{ price_type, variant }]
+ */
+function resolvePriorities(config) {
+  const profiles = config?.profiles || {};
+  if (!profiles[DEFAULT_PROFILE]) {
+    throw new Error(`Price priorities need a "${DEFAULT_PROFILE}" profile`);
+  }
+
+  const sourceRanks = [];
+  const priceTypeRanks = [];
+  for (const name of Object.keys(profiles)) {
+    const p = resolveProfile(profiles, name);
+    p.sources.forEach((source, i) => sourceRanks.push({ profile: name, source, rank: i + 1 }));
+    p.priceTypes.forEach((price_type, i) => priceTypeRanks.push({ profile: name, price_type, rank: i + 1 }));
+  }
+
+  const rules = (config.rules || []).map((r, ord) => {
+    if (!profiles[r.profile]) throw new Error(`Priority rule #${ord + 1} uses unknown profile "${r.profile}"`);
+    if (!r.game && !r.productType) throw new Error(`Priority rule #${ord + 1} needs a game and/or productType`);
+    return {
+      profile: r.profile,
+      game: r.game ? String(r.game).toLowerCase() : null,
+      product_type: r.productType ? String(r.productType) : null,
+      specificity: (r.productType ? 2 : 0) + (r.game ? 1 : 0),
+      ord,
+    };
+  });
+
+  const variants = Object.entries(config.variants || {}).map(([price_type, variant]) => {
+    if (!variant || typeof variant !== "string") {
+      throw new Error(`Price priorities: variant for price_type "${price_type}" must be a string`);
+    }
+    return { price_type, variant };
+  });
+
+  return {
+    productTypeColumn: config.productTypeColumn || null,
+    rules,
+    sourceRanks,
+    priceTypeRanks,
+    variants,
+  };
+}
+
+const OUTLIER_METHODS = ["mad", "iqr", "none"];
+
+/**
+ * Consensus settings with CLI overrides applied ({ outlier, k, minSources }).
+ * Returns { outlier, k, minSources, defaultWeight, fxWeight, sourceWeights: [{ source, weight }] }.
+ */
+function resolveConsensus(config, overrides = {}) {
+  const c = { ...(config?.consensus || {}) };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value != null) c[key] = value;
+  }
+
+  const outlier = String(c.outlier || "mad").toLowerCase();
+  if (!OUTLIER_METHODS.includes(outlier)) {
+    throw new Error(`Consensus outlier method must be ${OUTLIER_METHODS.join("|")} (got "${c.outlier}")`);
+  }
+  const k = Number(c.k ?? (outlier === "iqr" ? 1.5 : 3));
+  if (!Number.isFinite(k) || k <= 0) throw new Error(`Consensus k must be > 0 (got "${c.k}")`);
+  const minSources = Number(c.minSources ?? 3);
+  if (!Number.isInteger(minSources) || minSources < 2) {
+    throw new Error(`Consensus minSources must be an integer >= 2 (got "${c.minSources}")`);
+  }
+  const defaultWeight = Number(c.defaultWeight ?? 0.5);
+  if (!Number.isFinite(defaultWeight) || defaultWeight <= 0) {
+    throw new Error(`Consensus defaultWeight must be > 0 (got "${c.defaultWeight}")`);
+  }
+
+  const fxWeight = Number(c.fxWeight ?? 0.5);
+  if (!Number.isFinite(fxWeight) || fxWeight <= 0 || fxWeight > 1) {
+    throw new Error(`Consensus fxWeight must be in (0, 1] (got "${c.fxWeight}")`);
+  }
+
+  const sourceWeights = Object.entries(c.sourceWeights || {}).map(([source, w]) => {
+    const weight = Number(w);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`Consensus weight for "${source}" must be > 0 (got "${w}")`);
+    }
+    return { source, weight };
+  });
+
+  return { outlier, k, minSources, defaultWeight, fxWeight, sourceWeights };
+}
+
+module.exports = {
+  DEFAULT_PRIORITIES_PATH,
+  DEFAULT_PROFILE,
+  DEFAULT_VARIANT,
+  loadPriorities,
+  resolvePriorities,
+  resolveConsensus,
+};
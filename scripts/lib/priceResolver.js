@@ -0,0 +1,323 @@
+/**
+ * scripts/lib/priceResolver.js
+ *
+ * One place to answer "what is this card worth on this day", for the revaluation job,
+ * feeds and anything else that needs a single price per card.
+ *
+ *   const { resolvePrices } = require("../lib/priceResolver");
+ *   const [p] = await resolvePrices(client, [
+ *     { game: "pokemon", cardId: "sv3pt5-199", variant: "holofoil", grade: "PSA 10", date: "2025-12-19" },
+ *   ]);
+ *   // p = { valueCents, currency, source, method, confidence, asOfDate } or null
+ *
+ * Request fields: game ("pokemon", "yugioh"/"ygo", "mtg"/"magic"), cardId (the
+ * market_items canonical_id: card id, Scryfall id, …), variant (a market_price_daily
+ * variant; omitted = the card's default series), grade or condition (normalized with
+ * scripts/lib/salesComps.js; "NM", "Ungraded" and unrecognised values count as raw),
+ * date (YYYY-MM-DD; omitted = CURRENT_DATE).
+ *
+ * Lookup order, first hit wins:
+ *   raw     market_price_daily (condition NULL) -> market_values_daily "raw" -> vendor tables
+ *   graded  market_values_daily from comps -> market_price_daily (condition = grade)
+ *           -> market_values_daily inferred from the grade ladder
+ * Daily rows are the latest on or before the date, at most maxAgeDays (default 7) old.
+ * Vendor tables only hold current prices, so they are only used for today's (or a
+ * future) date, and only for raw copies — a graded copy is never valued at a raw price.
+ * A vendor price of 0 is a price (valueCents 0), as it always was for revaluation; a 0 in
+ * the daily tables counts as no price.
+ *
+ * confidence is 0-100 for every source: market_price_daily's own confidence; comps
+ * grades A/B/C/D as 85/70/55/40 (the consensus scale of 03_build_market_price_daily.js);
+ * vendor fallbacks 30. source names the table, method how that row was made
+ * (market_price_daily.method, market_values_daily.valuation_method, vendor column list).
+ */
+
+const { RAW_GRADE, normalizeGrade, normalizeGame } = require("./salesComps");
+const { DEFAULT_VARIANT } = require("./pricePriorities");
+
+const COMPS_CONFIDENCE = { A: 85, B: 70, C: 55, D: 40 };
+const VENDOR_CONFIDENCE = 30;
+
+// $1..$6 requests (index, game, card id, variant, grade, date), as parallel arrays.
+const REQUESTS_SQL = `
+  req AS (
+    SELECT r.i, r.game, r.card_id, r.variant, r.grade, COALESCE(r.as_of, CURRENT_DATE) AS as_of
+    FROM unnest($1::int[], $2::text[], $3::text[], $4::text[], $5::text[], $6::date[])
+      AS r(i, game, card_id, variant, grade, as_of)
+  )`;
+
+// $7 currency, $8 max age in days. Without a variant the card's default series wins over
+// any fresher row of another series (foil, 1st edition, …); date only breaks ties.
+const DAILY_SQL = `
+  WITH ${REQUESTS_SQL}
+  SELECT DISTINCT ON (r.i)
+    r.i,
+    d.value_cents::int AS value_cents,
+    d.confidence::int AS confidence,
+    d.method,
+    d.as_of_date::text AS as_of_date
+  FROM req r
+  JOIN public.market_items mi
+    ON mi.game = r.game
+   AND mi.canonical_id = r.card_id
+  JOIN public.market_price_daily d
+    ON d.market_item_id = mi.id
+   AND d.currency = $7
+   AND d.as_of_date <= r.as_of
+   AND d.as_of_date > r.as_of - $8::int
+   AND d.value_cents IS NOT NULL
+  WHERE (CASE WHEN r.grade = '${RAW_GRADE}' THEN d.condition IS NULL ELSE d.condition = r.grade END)
+    AND (r.variant IS NULL OR d.variant = r.variant)
+  ORDER BY
+    r.i,
+    (r.variant IS NOT NULL OR d.is_default) DESC,
+    (d.variant = '${DEFAULT_VARIANT}') DESC,
+    d.as_of_date DESC,
+    d.confidence DESC NULLS LAST
+`;
+
+// $7 max age in days.
+const COMPS_SQL = `
+  WITH ${REQUESTS_SQL}
+  SELECT DISTINCT ON (r.i)
+    r.i,
+    v.market_value_usd::text AS value_usd,
+    v.confidence,
+    v.valuation_method AS method,
+    COALESCE(v.inferred, false) AS inferred,
+    v.as_of_date::text AS as_of_date
+  FROM req r
+  JOIN public.market_values_daily v
+    ON v.card_key = r.game || ':' || r.card_id
+   AND v.grade = r.grade
+   AND v.as_of_date <= r.as_of
+   AND v.as_of_date > r.as_of - $7::int
+  WHERE v.market_value_usd IS NOT NULL
+  ORDER BY r.i, v.as_of_date DESC
+`;
+
+// Current vendor prices per game, keyed by card id ($1 card ids). Same column fallback order
+// the revaluation job always used; a card with several rows in a table gets the highest price.
+const VENDOR_SQL = {
+  pokemon: [
+    {
+      table: "tcg_card_prices_tcgplayer",
+      method: "market_price > mid_price > normal > reverse_holofoil > holofoil > first_edition",
+      sql: `
+        SELECT
+          card_id,
+          COALESCE(
+            market_price,
+            mid_price,
+            CASE WHEN normal ~ '^[0-9]+(\\.[0-9]+)?$' THEN normal::numeric END,
+            CASE WHEN reverse_holofoil ~ '^[0-9]+(\\.[0-9]+)?$' THEN reverse_holofoil::numeric END,
+            CASE WHEN holofoil ~ '^[0-9]+(\\.[0-9]+)?$' THEN holofoil::numeric END,
+            CASE WHEN first_edition_holofoil ~ '^[0-9]+(\\.[0-9]+)?$' THEN first_edition_holofoil::numeric END,
+            CASE WHEN first_edition_normal ~ '^[0-9]+(\\.[0-9]+)?$' THEN first_edition_normal::numeric END
+          )::text AS price
+        FROM public.tcg_card_prices_tcgplayer
+        WHERE card_id = ANY ($1::text[])
+      `,
+    },
+    {
+      table: "tcg_card_prices_ebay",
+      method: "median",
+      sql: `
+        SELECT card_id, median::text AS price
+        FROM public.tcg_card_prices_ebay
+        WHERE game = 'pokemon'
+          AND card_id = ANY ($1::text[])
+      `,
+    },
+  ],
+  yugioh: [
+    {
+      table: "ygo_card_prices",
+      method: "tcgplayer > cardmarket > amazon > coolstuffinc > ebay",
+      sql: `
+        SELECT
+          card_id,
+          COALESCE(
+            NULLIF(TRIM(tcgplayer_price::text), '')::numeric,
+            NULLIF(TRIM(cardmarket_price::text), '')::numeric,
+            NULLIF(TRIM(amazon_price::text), '')::numeric,
+            NULLIF(TRIM(coolstuffinc_price::text), '')::numeric,
+            NULLIF(TRIM(ebay_price::text), '')::numeric
+          )::text AS price
+        FROM public.ygo_card_prices
+        WHERE card_id = ANY ($1::text[])
+      `,
+    },
+  ],
+  mtg: [
+    {
+      table: "mtg_prices_effective",
+      method: "effective_usd",
+      sql: `
+        SELECT scryfall_id::text AS card_id, effective_usd::text AS price
+        FROM public.mtg_prices_effective
+        WHERE scryfall_id::text = ANY ($1::text[])
+      `,
+    },
+  ],
+};
+
+function centsFromUsd(v, { allowZero = false } = {}) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) && (n > 0 || (allowZero && n === 0)) ? Math.round(n * 100) : null;
+}
+
+async function existingTables(client, names) {
+  const { rows } = await client.query(
+    `SELECT t AS name FROM unnest($1::text[]) AS t WHERE to_regclass('public.' || t) IS NOT NULL`,
+    [names]
+  );
+  return new Set(rows.map((r) => r.name));
+}
+
+/**
+ * Normalize one request; null when it can't be priced at all (unknown game, no card id).
+ */
+function normalizeRequest(req) {
+  const game = normalizeGame(req?.game);
+  const cardId = req?.cardId == null ? "" : String(req.cardId).trim();
+  if (!game || !cardId) return null;
+
+  const gradeText = req.grade ?? req.condition;
+  const grade = (gradeText != null && normalizeGrade(gradeText)) || RAW_GRADE;
+  const variant = req.variant ? String(req.variant).trim().toLowerCase() : null;
+  const date = req.date ? String(req.date).slice(0, 10) : null;
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`priceResolver: bad date "${req.date}"`);
+
+  return { game, cardId, variant: variant === DEFAULT_VARIANT ? null : variant, grade, date };
+}
+
+/**
+ * Resolve many prices with a handful of set-based queries.
+ *
+ * @param {import("pg").ClientBase} client
+ * @param {Array<{game: string, cardId: string, variant?: string, grade?: string, condition?: string, date?: string}>} requests
+ * @param {{ currency?: string, maxAgeDays?: number }} [opts]
+ * @returns {Promise<Array<{valueCents: number, currency: string, source: string, method: string|null,
+ *   confidence: number, asOfDate: string|null}|null>>} one entry per request, in order
+ */
+async function resolvePrices(client, requests, { currency = "USD", maxAgeDays = 7 } = {}) {
+  if (!Number.isInteger(maxAgeDays) || maxAgeDays < 1) throw new Error("priceResolver: maxAgeDays must be >= 1");
+  currency = String(currency).toUpperCase();
+
+  const reqs = requests.map(normalizeRequest);
+  const results = reqs.map(() => null);
+  const live = reqs.map((r, i) => (r ? i : -1)).filter((i) => i >= 0);
+  if (!live.length) return results;
+
+  const tables = await existingTables(client, [
+    "market_items",
+    "market_price_daily",
+    "market_values_daily",
+    ...Object.values(VENDOR_SQL).flatMap((list) => list.map((v) => v.table)),
+  ]);
+
+  const params = (idx) => [
+    idx,
+    idx.map((i) => reqs[i].game),
+    idx.map((i) => reqs[i].cardId),
+    idx.map((i) => reqs[i].variant),
+    idx.map((i) => reqs[i].grade),
+    idx.map((i) => reqs[i].date),
+  ];
+
+  const daily = new Map();
+  if (tables.has("market_items") && tables.has("market_price_daily")) {
+    const { rows } = await client.query(DAILY_SQL, [...params(live), currency, maxAgeDays]);
+    for (const r of rows) {
+      daily.set(r.i, {
+        valueCents: r.value_cents,
+        currency,
+        source: "market_price_daily",
+        method: r.method,
+        confidence: r.confidence ?? 0,
+        asOfDate: r.as_of_date,
+      });
+    }
+  }
+
+  // market_values_daily is in USD only.
+  const comps = new Map();
+  const inferred = new Set();
+  if (currency === "USD" && tables.has("market_values_daily")) {
+    const { rows } = await client.query(COMPS_SQL, [...params(live), maxAgeDays]);
+    for (const r of rows) {
+      const valueCents = centsFromUsd(r.value_usd);
+      if (valueCents == null) continue;
+      comps.set(r.i, {
+        valueCents,
+        currency,
+        source: "market_values_daily",
+        method: r.method,
+        confidence: COMPS_CONFIDENCE[r.confidence] ?? COMPS_CONFIDENCE.D,
+        asOfDate: r.as_of_date,
+      });
+      if (r.inferred) inferred.add(r.i);
+    }
+  }
+
+  for (const i of live) {
+    const c = comps.get(i);
+    if (reqs[i].grade === RAW_GRADE) results[i] = daily.get(i) || c || null;
+    else results[i] = (inferred.has(i) ? null : c) || daily.get(i) || c || null;
+  }
+
+  // Vendor fallback: raw copies still without a price, dated today or later.
+  const { rows: todayRows } = await client.query("SELECT CURRENT_DATE::text AS d");
+  const today = todayRows[0].d;
+  const pending =
+    currency === "USD"
+      ? live.filter((i) => !results[i] && reqs[i].grade === RAW_GRADE && (!reqs[i].date || reqs[i].date >= today))
+      : [];
+
+  for (const [game, sources] of Object.entries(VENDOR_SQL)) {
+    let open = pending.filter((i) => reqs[i].game === game && !results[i]);
+    for (const v of sources) {
+      if (!open.length || !tables.has(v.table)) continue;
+      const { rows } = await client.query(v.sql, [[...new Set(open.map((i) => reqs[i].cardId))]]);
+      const prices = new Map();
+      for (const r of rows) {
+        const cents = centsFromUsd(r.price, { allowZero: true });
+        if (!r.card_id || cents == null) continue;
+        // Several rows for one card: keep the highest, whatever order they come back in.
+        if (!prices.has(r.card_id) || cents > prices.get(r.card_id)) prices.set(r.card_id, cents);
+      }
+      for (const i of open) {
+        const cents = prices.get(reqs[i].cardId);
+        if (cents == null) continue;
+        results[i] = {
+          valueCents: cents,
+          currency,
+          source: v.table,
+          method: v.method,
+          confidence: VENDOR_CONFIDENCE,
+          asOfDate: null,
+        };
+      }
+      open = open.filter((i) => !results[i]);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Resolve a single price; see resolvePrices().
+ */
+async function resolvePrice(client, request, opts) {
+  const [res] = await resolvePrices(client, [request], opts);
+  return res;
+}
+
+module.exports = {
+  COMPS_CONFIDENCE,
+  VENDOR_CONFIDENCE,
+  normalizeGame,
+  resolvePrices,
+  resolvePrice,
+};
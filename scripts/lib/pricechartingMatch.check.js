@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/lib/pricechartingMatch.check.js
+ *
+ * Quick self-check of the PriceCharting name parser / scorer (no database needed).
+ *
+ * Usage:
+ *   node scripts/lib/pricechartingMatch.check.js
+ */
+
+const assert = require("assert/strict");
+const { parseProductName, scoreCandidate, normalizeNumber } = require("./pricechartingMatch");
+
+const LOB = "YuGiOh Legend of Blue Eyes White Dragon";
+
+// Candidate numbers as CANDIDATE_SQL.yugioh returns them: region letters stripped.
+const darkMagician = {
+  name: "Dark Magician",
+  set_name: "Legend of Blue Eyes White Dragon",
+  set_code: "LOB",
+  number: "005",
+};
+
+const checks = [
+  ["region code is dropped from the number", () => {
+    const p = parseProductName("yugioh", "Dark Magician LOB-EN005", LOB);
+    assert.equal(p.set_code, "lob");
+    assert.equal(p.number, normalizeNumber("005"));
+    assert.equal(p.name, "Dark Magician");
+  }],
+  ["old prints without a region still parse", () => {
+    const p = parseProductName("yugioh", "Blue-Eyes White Dragon LOB-001", LOB);
+    assert.equal(p.set_code, "lob");
+    assert.equal(p.number, "1");
+  }],
+  ["SET-EN### product scores an exact match", () => {
+    const p = parseProductName("yugioh", "Dark Magician LOB-EN005", LOB);
+    const s = scoreCandidate(p, darkMagician);
+    assert.equal(s.exact, true);
+    assert.equal(s.score, 1);
+  }],
+  ["a different number is still capped", () => {
+    const p = parseProductName("yugioh", "Dark Magician LOB-EN006", LOB);
+    assert.ok(scoreCandidate(p, darkMagician).score <= 0.6);
+  }],
+];
+
+let failed = 0;
+for (const [name, fn] of checks) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`❌ ${name}: ${e.message}`);
+  }
+}
+process.exit(failed ? 1 : 0);
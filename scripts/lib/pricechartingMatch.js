@@ -0,0 +1,228 @@
+/**
+ * scripts/lib/pricechartingMatch.js
+ *
+ * Matching PriceCharting products to market_items.
+ *
+ * PriceCharting only gives us product_name + console_name, e.g.
+ *   product_name "Charizard [1st Edition] #4"   console_name "Pokemon Base Set"
+ *   product_name "Blue-Eyes White Dragon LOB-001" console_name "YuGiOh Legend of Blue Eyes White Dragon"
+ *   product_name "Black Lotus [Foil]"           console_name "Magic Alpha"
+ *
+ * parseProductName() pulls out card name, number, set code and variant;
+ * scoreCandidate() compares that against a candidate { name, set_name, set_code, number }.
+ *
+ * Tables:
+ *   pricecharting_item_map      accepted matches (auto or manual), one per product
+ *   pricecharting_match_review  low-confidence matches waiting for a human decision
+ */
+
+const CONSOLE_PREFIXES = {
+  pokemon: /^pokemon\s+/i,
+  yugioh: /^yu-?gi-?oh!?\s+/i,
+  mtg: /^magic(\s+the\s+gathering)?\s+/i,
+};
+
+// Same type as market_items.id, whatever that is in this database.
+async function marketItemIdType(client) {
+  const { rows } = await client.query(`
+    SELECT format_type(a.atttypid, a.atttypmod) AS t
+    FROM pg_attribute a
+    WHERE a.attrelid = 'public.market_items'::regclass
+      AND a.attname = 'id'
+  `);
+  return rows[0]?.t || "bigint";
+}
+
+async function ensureMatchTables(client) {
+  const idType = await marketItemIdType(client);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.pricecharting_item_map (
+      game text NOT NULL,
+      pricecharting_id text NOT NULL,
+      market_item_id ${idType} NOT NULL,
+      confidence numeric(5,4) NOT NULL,
+      method text NOT NULL,
+      variant text,
+      parsed jsonb,
+      matched_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (game, pricecharting_id)
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.pricecharting_match_review (
+      game text NOT NULL,
+      pricecharting_id text NOT NULL,
+      product_name text,
+      console_name text,
+      candidate_market_item_id ${idType},
+      confidence numeric(5,4),
+      parsed jsonb,
+      candidates jsonb,
+      status text NOT NULL DEFAULT 'pending',
+      created_at timestamptz NOT NULL DEFAULT now(),
+      decided_at timestamptz,
+      PRIMARY KEY (game, pricecharting_id)
+    )
+  `);
+}
+
+function normalizeText(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// "004" -> "4", "SWSH050" -> "swsh50", "44/185" -> "44"
+function normalizeNumber(n) {
+  if (n == null) return null;
+  const s = String(n).split("/")[0].trim().toLowerCase();
+  if (!s) return null;
+  return s.replace(/(^|[a-z-])0+(\d)/g, "$1$2");
+}
+
+function tokens(s) {
+  return normalizeText(s).split(" ").filter(Boolean);
+}
+
+function bigrams(s) {
+  const t = normalizeText(s).replace(/ /g, "");
+  const out = new Map();
+  for (let i = 0; i < t.length - 1; i++) {
+    const g = t.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+// Sørensen–Dice similarity on character bigrams, 0..1.
+function dice(a, b) {
+  const A = bigrams(a);
+  const B = bigrams(b);
+  let sizeA = 0;
+  let sizeB = 0;
+  let overlap = 0;
+  for (const n of A.values()) sizeA += n;
+  for (const n of B.values()) sizeB += n;
+  if (!sizeA || !sizeB) return normalizeText(a) === normalizeText(b) && sizeA === sizeB ? 1 : 0;
+  for (const [g, n] of A) overlap += Math.min(n, B.get(g) || 0);
+  return (2 * overlap) / (sizeA + sizeB);
+}
+
+function parseProductName(game, productName, consoleName) {
+  let name = String(productName || "");
+
+  const variants = [];
+  name = name.replace(/\[([^\]]+)\]/g, (_m, v) => {
+    variants.push(v.trim());
+    return " ";
+  });
+
+  let number = null;
+  name = name.replace(/#\s*([A-Za-z0-9-]+(?:\/[A-Za-z0-9]+)?)/, (_m, n) => {
+    number = n;
+    return " ";
+  });
+
+  // Yu-Gi-Oh! prints carry a set code like LOB-001 / LOB-EN001. The region letters
+  // (EN, DE, …) are dropped, as on the candidate side: LOB-EN005 is number 5.
+  let setCode = null;
+  name = name.replace(/\b([A-Z0-9]{2,5})-[A-Z]{0,2}(\d{2,4})\b/, (_m, code, num) => {
+    setCode = code.toLowerCase();
+    if (!number) number = num;
+    return " ";
+  });
+
+  const prefix = CONSOLE_PREFIXES[game];
+  const setName = String(consoleName || "").replace(prefix || /^$/, "").trim() || null;
+
+  return {
+    name: name.replace(/\s+/g, " ").trim(),
+    number: normalizeNumber(number),
+    set_code: setCode,
+    set_name: setName,
+    variant: variants.length ? variants.join(" / ") : null,
+  };
+}
+
+/**
+ * Score a candidate against a parsed product, 0..1.
+ *   name   50%  (exact after normalization, else Dice similarity)
+ *   number 25%  (exact; a number mismatch when both sides have one is a hard penalty)
+ *   set    25%  (set code exact, else Dice on set name)
+ */
+function scoreCandidate(parsed, cand) {
+  const exactName = normalizeText(parsed.name) === normalizeText(cand.name);
+  const nameScore = exactName ? 1 : dice(parsed.name, cand.name);
+
+  const candNumber = normalizeNumber(cand.number);
+  let numberScore = 0.5; // unknown on one side: neutral
+  if (parsed.number && candNumber) numberScore = parsed.number === candNumber ? 1 : 0;
+
+  let setScore = 0.5;
+  if (parsed.set_code && cand.set_code && parsed.set_code === String(cand.set_code).toLowerCase()) setScore = 1;
+  else if (parsed.set_name && cand.set_name) setScore = dice(parsed.set_name, cand.set_name);
+
+  let score = 0.5 * nameScore + 0.25 * numberScore + 0.25 * setScore;
+  if (parsed.number && candNumber && numberScore === 0) score = Math.min(score, 0.6);
+
+  return {
+    score: Math.round(score * 10000) / 10000,
+    exact: exactName && numberScore === 1 && setScore === 1,
+  };
+}
+
+/**
+ * Index candidates by name token so each product is only scored against
+ * candidates that share at least one word of its name.
+ */
+function buildCandidateIndex(candidates) {
+  const byToken = new Map();
+  for (const c of candidates) {
+    for (const t of new Set(tokens(c.name))) {
+      if (t.length < 2) continue;
+      let list = byToken.get(t);
+      if (!list) byToken.set(t, (list = []));
+      list.push(c);
+    }
+  }
+  return byToken;
+}
+
+/**
+ * Top `limit` scored candidates for a parsed product, best first.
+ * Only the two rarest name tokens are used to gather candidates, which keeps
+ * common words ("dragon", "energy") from pulling in half the catalogue.
+ */
+function rankCandidates(index, parsed, limit = 3) {
+  const seen = new Set();
+  const scored = [];
+  const lookup = [...new Set(tokens(parsed.name))]
+    .filter((t) => index.has(t))
+    .sort((a, b) => index.get(a).length - index.get(b).length)
+    .slice(0, 2);
+  for (const t of lookup) {
+    for (const c of index.get(t) || []) {
+      const key = `${c.market_item_id}|${c.set_code || ""}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      scored.push({ ...c, ...scoreCandidate(parsed, c) });
+    }
+  }
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, limit);
+}
+
+module.exports = {
+  ensureMatchTables,
+  normalizeText,
+  normalizeNumber,
+  dice,
+  parseProductName,
+  scoreCandidate,
+  buildCandidateIndex,
+  rankCandidates,
+};
@@ -0,0 +1,136 @@
+/**
+ * scripts/lib/salesComps.js
+ *
+ * Vocabulary shared by everything that reads or writes market_sales_comps.
+ *
+ *   card_key  "<game>:<canonical id>", the market_items (game, canonical_id) of the card,
+ *             e.g. "pokemon:sv3pt5-199", "mtg:<scryfall id>"; game names from exports
+ *             ("ygo", "magic") are mapped with normalizeGame()
+ *   grade     "raw" for ungraded copies, else "<GRADER> <grade>" with the grade written
+ *             without trailing zeros: "PSA 10", "BGS 9.5", "CGC 9"
+ *
+ * normalizeGrade() accepts the spellings marketplace exports use ("PSA10", "psa-10",
+ * "Beckett 9.5", "BGS Gem Mint 9.5", "Ungraded", "NM") and returns null for anything else.
+ */
+
+const RAW_GRADE = "raw";
+
+// alias -> market_items.game
+const GAMES = { pokemon: "pokemon", ygo: "yugioh", yugioh: "yugioh", mtg: "mtg", magic: "mtg" };
+
+// alias -> grader in the grade vocabulary
+const GRADERS = {
+  PSA: "PSA",
+  BGS: "BGS",
+  BECKETT: "BGS",
+  CGC: "CGC",
+  SGC: "SGC",
+  TAG: "TAG",
+  ACE: "ACE",
+};
+
+// Condition words that mean an ungraded copy.
+const RAW_WORDS = new Set([
+  "",
+  "raw",
+  "ungraded",
+  "not graded",
+  "none",
+  "nm",
+  "near mint",
+  "nm/m",
+  "lp",
+  "lightly played",
+  "mp",
+  "moderately played",
+  "hp",
+  "heavily played",
+  "dmg",
+  "damaged",
+  "played",
+  "mint",
+]);
+
+const GRADED_RE = new RegExp(
+  `\\b(${Object.keys(GRADERS).join("|")})(?![a-z])[\\s\\-:#]*` +
+    `(?:(?:gem\\s*(?:mint|mt)|mint|nm-mt|pristine|black\\s*label)\\s*)?` +
+    `(\\d{1,2}(?:\\.\\d)?)\\b`,
+  "i"
+);
+
+function gradeText(grader, n) {
+  return `${grader} ${Number.isInteger(n) ? n : n.toFixed(1)}`;
+}
+
+/**
+ * Find "<grader> <grade>" anywhere in a text (grade cell or listing title).
+ * @returns {string|null}
+ */
+function findGrade(text) {
+  const m = GRADED_RE.exec(String(text || ""));
+  if (!m) return null;
+  const n = Number(m[2]);
+  if (!(n >= 1 && n <= 10) || (n * 2) % 1 !== 0) return null;
+  return gradeText(GRADERS[m[1].toUpperCase()], n);
+}
+
+/**
+ * @param {string|null|undefined} v  a grade / condition cell
+ * @returns {string|null}  grade in the vocabulary, or null when unrecognised
+ */
+function normalizeGrade(v) {
+  const s = String(v ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+  if (RAW_WORDS.has(s)) return RAW_GRADE;
+  return findGrade(s);
+}
+
+/**
+ * Numeric position of a grade on its grader's ladder (raw = 0), for ordering grades.
+ * @returns {{ grader: string|null, value: number }|null}
+ */
+function parseGrade(grade) {
+  if (grade === RAW_GRADE) return { grader: null, value: 0 };
+  const m = /^([A-Z]+) (\d{1,2}(?:\.5)?)$/.exec(String(grade || ""));
+  if (!m || !Object.values(GRADERS).includes(m[1])) return null;
+  return { grader: m[1], value: Number(m[2]) };
+}
+
+// Listings selling more than one card: "lot", "bundle", "x4", "4x", "playset", "set of 3",
+// "collection of 20", "10 cards". Counts of 1 ("1x Black Lotus") are single copies, and a
+// bare "collection" is usually a product name ("Legendary Collection").
+const MANY = "(?:[2-9]|\\d{2,})";
+const LOT_RE = new RegExp(
+  `\\b(lot|lots|bundle|playset|bulk)\\b|\\b(set|collection) of \\d+\\b|` +
+    `\\b${MANY}\\s*x\\b|\\bx\\s*${MANY}\\b|\\b${MANY}\\s*cards\\b`,
+  "i"
+);
+
+function isLotTitle(title) {
+  return LOT_RE.test(String(title || ""));
+}
+
+/**
+ * @returns {string|null}  the market_items game for a game name or alias, null if unknown
+ */
+function normalizeGame(game) {
+  return GAMES[String(game || "").trim().toLowerCase()] || null;
+}
+
+// Unknown games are kept (lowercased) so the key still names what the export said.
+function cardKey(game, canonicalId) {
+  return `${normalizeGame(game) || String(game).trim().toLowerCase()}:${canonicalId}`;
+}
+
+module.exports = {
+  RAW_GRADE,
+  GRADERS,
+  normalizeGrade,
+  findGrade,
+  parseGrade,
+  isLotTitle,
+  normalizeGame,
+  cardKey,
+};
@@ -0,0 +1,151 @@
+/**
+ * scripts/lib/snapshotMappings.js
+ *
+ * Declarative JSON-payload -> market_price_snapshots mappings
+ * (config/snapshot_mappings.json).
+ *
+ * A mapping describes how to read prices out of a jsonb column:
+ *
+ *   "scryfall": {
+ *     "source": "scryfall",                 // snapshot source
+ *     "raw": { "prices": "prices" },        // optional; raw gets { <name>: payload #> <path> , key }
+ *     "prices": [
+ *       {
+ *         "path": "prices.usd",             // dotted path into the payload
+ *         "key": "usd",                     // optional; defaults to the last path segment
+ *         "currency": "USD",
+ *         "price_type": "market",
+ *         "condition": null,                // optional
+ *         "scale": 100                      // optional; value * scale = value_cents (default 100)
+ *       }
+ *     ]
+ *   }
+ *
+ * mappingRowsSql() turns a mapping into the SELECT list + LATERAL VALUES that
+ * expand one payload row into one candidate snapshot row per price entry, so
+ * any table holding a JSON price payload can reuse it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { centsSql } = require("./snapshotWriter");
+
+const DEFAULT_MAPPINGS_PATH = path.resolve(__dirname, "../../config/snapshot_mappings.json");
+
+const PATH_SEGMENT = /^[A-Za-z0-9_]+$/;
+const CURRENCY = /^[A-Z]{3}$/;
+
+function loadMappings(file = DEFAULT_MAPPINGS_PATH) {
+  const text = fs.readFileSync(file, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${file}: ${e.message}`);
+  }
+}
+
+function sqlText(v) {
+  return v == null ? "NULL::text" : `'${String(v).replace(/'/g, "''")}'::text`;
+}
+
+function splitPath(name, p) {
+  const parts = String(p || "").split(".");
+  if (!parts.length || !parts.every((s) => PATH_SEGMENT.test(s))) {
+    throw new Error(`Snapshot mapping "${name}": bad path "${p}"`);
+  }
+  return parts;
+}
+
+function pathLiteral(parts) {
+  return `'{${parts.join(",")}}'`;
+}
+
+/**
+ * Look up a mapping and sanity-check it. Returns a copy with paths split into segments.
+ */
+function resolveMapping(mappings, name) {
+  const m = mappings[name];
+  if (!m) throw new Error(`Unknown snapshot mapping "${name}" (have: ${Object.keys(mappings).join(", ")})`);
+  if (!m.source) throw new Error(`Snapshot mapping "${name}": missing source`);
+  if (!Array.isArray(m.prices) || !m.prices.length) {
+    throw new Error(`Snapshot mapping "${name}": no prices`);
+  }
+
+  const seen = new Set();
+  const prices = m.prices.map((e, i) => {
+    const parts = splitPath(name, e.path);
+    const key = e.key || parts[parts.length - 1];
+    const currency = String(e.currency || "");
+    if (!CURRENCY.test(currency)) {
+      throw new Error(`Snapshot mapping "${name}": prices[${i}] has bad currency "${e.currency}"`);
+    }
+    if (!e.price_type) throw new Error(`Snapshot mapping "${name}": prices[${i}] has no price_type`);
+    const scale = e.scale == null ? 100 : Number(e.scale);
+    if (!Number.isFinite(scale) || scale <= 0) {
+      throw new Error(`Snapshot mapping "${name}": prices[${i}] has bad scale "${e.scale}"`);
+    }
+    const id = `${currency}/${e.price_type}/${e.condition ?? ""}`;
+    if (seen.has(id)) {
+      throw new Error(`Snapshot mapping "${name}": two entries write ${id}`);
+    }
+    if (seen.has(`key:${key}`)) {
+      throw new Error(`Snapshot mapping "${name}": duplicate key "${key}"`);
+    }
+    seen.add(id);
+    seen.add(`key:${key}`);
+
+    return { key, parts, currency, price_type: String(e.price_type), condition: e.condition ?? null, scale };
+  });
+
+  const raw = Object.entries(m.raw || {}).map(([rawName, p]) => {
+    if (!PATH_SEGMENT.test(rawName)) throw new Error(`Snapshot mapping "${name}": bad raw name "${rawName}"`);
+    return [rawName, splitPath(name, p)];
+  });
+
+  return { name, source: String(m.source), prices, raw };
+}
+
+/**
+ * SQL fragments that expand `payloadExpr` (a jsonb expression from the FROM clause)
+ * into candidate snapshot columns:
+ *   select: "<source>, v.currency, v.price_type, v.condition, v.value_cents, <raw>, v.key"
+ *   lateral: "CROSS JOIN LATERAL (VALUES ...) AS v(...)"
+ * Rows with a NULL or non-positive value_cents still need filtering by the caller.
+ */
+function mappingRowsSql(mapping, payloadExpr) {
+  const values = mapping.prices
+    .map(
+      (e) => `
+          (
+            ${sqlText(e.key)},
+            ${sqlText(e.currency)},
+            ${sqlText(e.price_type)},
+            ${sqlText(e.condition)},
+            ${centsSql(`(${payloadExpr}) #>> ${pathLiteral(e.parts)}`, e.scale)}
+          )`
+    )
+    .join(",");
+
+  const rawPairs = mapping.raw.map(([n, parts]) => `'${n}', (${payloadExpr}) #> ${pathLiteral(parts)}, `).join("");
+
+  return {
+    select: `
+        ${sqlText(mapping.source)} AS source,
+        v.currency,
+        v.price_type,
+        v.condition,
+        v.value_cents,
+        jsonb_build_object(${rawPairs}'key', v.key) AS raw,
+        v.key`,
+    lateral: `CROSS JOIN LATERAL (
+        VALUES ${values}
+      ) AS v(key, currency, price_type, condition, value_cents)`,
+  };
+}
+
+module.exports = {
+  DEFAULT_MAPPINGS_PATH,
+  loadMappings,
+  resolveMapping,
+  mappingRowsSql,
+};
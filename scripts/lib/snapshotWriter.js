@@ -0,0 +1,126 @@
+/**
+ * scripts/lib/snapshotWriter.js
+ *
+ * Shared write path for the 02_normalize_* steps. Each step builds a SQL CTE
+ * ending in `rows AS (...)` with the snapshot columns
+ *   (market_item_id, source, as_of_date, currency, price_type, condition, value_cents, raw)
+ * and hands it here to be applied to market_price_snapshots:
+ *   1) one INSERT ... ON CONFLICT upsert on the snapshot key
+ *   2) optionally DELETE rows in scope for the day that no longer have a price
+ *
+ * Key = (market_item_id, source, as_of_date, currency, price_type, condition), enforced by
+ * SNAPSHOT_KEY_INDEX with condition compared NULL-safely via COALESCE(condition, '').
+ * Tables that still hold duplicate keys must be repaired first with
+ * scripts/pricing/02_dedupe_market_price_snapshots.js.
+ */
+
+const SNAPSHOT_KEY_INDEX = "market_price_snapshots_key_uniq";
+
+// Conflict target matching SNAPSHOT_KEY_INDEX; ON CONFLICT must repeat the index expression.
+const SNAPSHOT_KEY_COLUMNS = `market_item_id, source, as_of_date, currency, price_type, (COALESCE(condition, ''))`;
+
+const CREATE_SNAPSHOT_KEY_SQL = `
+  CREATE UNIQUE INDEX IF NOT EXISTS ${SNAPSHOT_KEY_INDEX}
+    ON public.market_price_snapshots (${SNAPSHOT_KEY_COLUMNS})
+`;
+
+/**
+ * Make sure the unique key exists before a writer relies on ON CONFLICT.
+ * Call outside a transaction: a failed CREATE INDEX would abort it.
+ * @param {import("pg").Client} client
+ */
+async function ensureSnapshotKey(client) {
+  try {
+    await client.query(CREATE_SNAPSHOT_KEY_SQL);
+  } catch (e) {
+    if (e?.code === "23505") {
+      throw new Error(
+        "market_price_snapshots has duplicate keys; run scripts/pricing/02_dedupe_market_price_snapshots.js first"
+      );
+    }
+    throw e;
+  }
+}
+
+/**
+ * SQL expression turning a money-ish value ("1.23", "$1.23", 1.23) into integer cents,
+ * NULL when there is no number in it.
+ * @param {string} expr
+ * @param {number} [scale]  multiplier to cents (100 for decimal units, 1 when already cents)
+ */
+function centsSql(expr, scale = 100) {
+  const cleaned = `NULLIF(regexp_replace((${expr})::text, '[^0-9.\\-]', '', 'g'), '')`;
+  return `CASE
+              WHEN ${cleaned} IS NULL THEN NULL
+              ELSE (ROUND((${cleaned}::numeric) * ${Number(scale)}))::int
+            END`;
+}
+
+/**
+ * @param {import("pg").Client} client  inside an open transaction
+ * @param {string} rowsCte  "WITH ... rows AS (...)"
+ * @param {any[]} params    $1 must be the as_of_date
+ * @param {{ staleScope?: string }} [opts]
+ *   staleScope: extra WHERE conditions on `t` selecting which of the day's snapshots this
+ *   step owns (e.g. "t.source IN ('tcgplayer') AND t.market_item_id IN (...)"); rows in
+ *   scope that are not in `rows` are deleted. Omit to skip the delete pass.
+ * @returns {Promise<{ updated: number, inserted: number, deleted: number }>}
+ */
+async function writeSnapshotRows(client, rowsCte, params, opts = {}) {
+  // DISTINCT ON: one row per key, otherwise ON CONFLICT would hit the same row twice
+  // (e.g. two PriceCharting products mapped to one market item).
+  const upsertSql = `
+    ${rowsCte}
+    INSERT INTO public.market_price_snapshots AS t
+      (market_item_id, source, as_of_date, currency, price_type, condition, value_cents, raw)
+    SELECT DISTINCT ON (r.market_item_id, r.source, r.as_of_date, r.currency, r.price_type, COALESCE(r.condition, ''))
+      r.market_item_id, r.source, r.as_of_date, r.currency, r.price_type, r.condition, r.value_cents, r.raw
+    FROM rows r
+    ORDER BY r.market_item_id, r.source, r.as_of_date, r.currency, r.price_type, COALESCE(r.condition, ''),
+      r.value_cents DESC
+    ON CONFLICT (${SNAPSHOT_KEY_COLUMNS})
+    DO UPDATE SET
+      value_cents = EXCLUDED.value_cents,
+      raw = EXCLUDED.raw
+    WHERE t.value_cents IS DISTINCT FROM EXCLUDED.value_cents
+       OR t.raw IS DISTINCT FROM EXCLUDED.raw
+    RETURNING (xmax = 0) AS inserted
+  `;
+
+  const ups = await client.query(upsertSql, params);
+  const inserted = ups.rows.filter((r) => r.inserted).length;
+
+  let deleted = 0;
+  if (opts.staleScope) {
+    const del = await client.query(
+      `
+      ${rowsCte}
+      DELETE FROM public.market_price_snapshots t
+      WHERE t.as_of_date = $1::date
+        AND ${opts.staleScope}
+        AND NOT EXISTS (
+          SELECT 1
+          FROM rows r
+          WHERE t.market_item_id = r.market_item_id
+            AND t.source = r.source
+            AND t.currency = r.currency
+            AND t.price_type = r.price_type
+            AND t.condition IS NOT DISTINCT FROM r.condition
+        )
+      `,
+      params
+    );
+    deleted = del.rowCount;
+  }
+
+  return { updated: ups.rowCount - inserted, inserted, deleted };
+}
+
+module.exports = {
+  SNAPSHOT_KEY_INDEX,
+  SNAPSHOT_KEY_COLUMNS,
+  CREATE_SNAPSHOT_KEY_SQL,
+  ensureSnapshotKey,
+  centsSql,
+  writeSnapshotRows,
+};
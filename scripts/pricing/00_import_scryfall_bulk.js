@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/00_import_scryfall_bulk.js
+ *
+ * Load a Scryfall bulk-data file (default_cards / all_cards / …) into
+ * scryfall_cards_raw, the table read by 02_normalize_scryfall_prices.js and
+ * the Merchant feed export.
+ *
+ * Source:
+ *   A local bulk file downloaded from https://scryfall.com/docs/api/bulk-data
+ *   (.json, .json.gz or a .zip holding one .json). The array is stream-parsed,
+ *   so memory stays flat even for all_cards.
+ *
+ * Behavior:
+ *   - Upserts each card by id into scryfall_cards_raw (payload, bulk_type,
+ *     bulk_updated_at, imported_at); unchanged payloads are not rewritten
+ *   - Keeps per-card price history in scryfall_card_prices_history
+ *     (scryfall_id, price_date, prices) so the normalizer can be re-run for
+ *     past dates. price_date defaults to the bulk file's updated_at (UTC date).
+ *   - Bulk type and updated_at come from the Scryfall file name
+ *     (e.g. default-cards-20251219100512.json); override with --bulk-type / --updated-at
+ *   - One transaction per file
+ *
+ * Usage:
+ *   node scripts/pricing/00_import_scryfall_bulk.js --file ./data/scryfall/default-cards-20251219100512.json
+ *   node scripts/pricing/00_import_scryfall_bulk.js --file ./all-cards.json.gz --bulk-type all_cards --updated-at 2025-12-19T10:05:12Z
+ *   node scripts/pricing/00_import_scryfall_bulk.js --file ./default-cards.json --price-date 2025-12-18 --batch-size 1000
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const path = require("path");
+const { Client } = require("pg");
+const { openInputStream } = require("../lib/compressedFiles");
+const { parseJsonArray } = require("../lib/jsonArrayStream");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+// default-cards-20251219100512.json(.gz) -> { bulkType: "default_cards", updatedAt: "2025-12-19T10:05:12Z" }
+function bulkInfoFromFileName(file) {
+  const m = /^([a-z_-]+?)-(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\.json/i.exec(path.basename(file));
+  if (!m) return { bulkType: null, updatedAt: null };
+  const [, type, y, mo, d, h, mi, s] = m;
+  return {
+    bulkType: type.toLowerCase().replace(/-/g, "_"),
+    updatedAt: `${y}-${mo}-${d}T${h}:${mi}:${s}Z`,
+  };
+}
+
+async function ensureTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.scryfall_cards_raw (
+      id uuid PRIMARY KEY,
+      payload jsonb NOT NULL
+    )
+  `);
+  await client.query(`
+    ALTER TABLE public.scryfall_cards_raw
+      ADD COLUMN IF NOT EXISTS bulk_type text,
+      ADD COLUMN IF NOT EXISTS bulk_updated_at timestamptz,
+      ADD COLUMN IF NOT EXISTS imported_at timestamptz
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.scryfall_card_prices_history (
+      scryfall_id uuid NOT NULL,
+      price_date date NOT NULL,
+      prices jsonb NOT NULL,
+      bulk_type text,
+      bulk_updated_at timestamptz,
+      PRIMARY KEY (scryfall_id, price_date)
+    )
+  `);
+}
+
+async function upsertBatch(client, batch, meta) {
+  if (!batch.length) return { cards: 0, prices: 0 };
+
+  const cardValues = batch
+    .map((_c, i) => `($${i * 2 + 3}::uuid, $${i * 2 + 4}::jsonb, $1, $2::timestamptz, now())`)
+    .join(",\n");
+  const cardParams = [meta.bulkType, meta.updatedAt];
+  for (const c of batch) cardParams.push(c.id, JSON.stringify(c));
+
+  const cards = await client.query(
+    `INSERT INTO public.scryfall_cards_raw (id, payload, bulk_type, bulk_updated_at, imported_at)
+     VALUES ${cardValues}
+     ON CONFLICT (id) DO UPDATE SET
+       payload = EXCLUDED.payload,
+       bulk_type = EXCLUDED.bulk_type,
+       bulk_updated_at = EXCLUDED.bulk_updated_at,
+       imported_at = EXCLUDED.imported_at
+     WHERE public.scryfall_cards_raw.payload IS DISTINCT FROM EXCLUDED.payload
+        OR public.scryfall_cards_raw.bulk_updated_at IS DISTINCT FROM EXCLUDED.bulk_updated_at`,
+    cardParams
+  );
+
+  const priced = batch.filter((c) => c.prices && Object.values(c.prices).some((v) => v != null));
+  let prices = { rowCount: 0 };
+  if (priced.length) {
+    const priceValues = priced
+      .map((_c, i) => `($${i * 2 + 4}::uuid, $3::date, $${i * 2 + 5}::jsonb, $1, $2::timestamptz)`)
+      .join(",\n");
+    const priceParams = [meta.bulkType, meta.updatedAt, meta.priceDate];
+    for (const c of priced) priceParams.push(c.id, JSON.stringify(c.prices));
+
+    prices = await client.query(
+      `INSERT INTO public.scryfall_card_prices_history
+         (scryfall_id, price_date, prices, bulk_type, bulk_updated_at)
+       VALUES ${priceValues}
+       ON CONFLICT (scryfall_id, price_date) DO UPDATE SET
+         prices = EXCLUDED.prices,
+         bulk_type = EXCLUDED.bulk_type,
+         bulk_updated_at = EXCLUDED.bulk_updated_at`,
+      priceParams
+    );
+  }
+
+  return { cards: cards.rowCount, prices: prices.rowCount };
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const file = args.file ? String(args.file) : null;
+  const batchSize = Number(args["batch-size"] || 500);
+
+  if (!file) {
+    console.error("❌ Missing --file <path to Scryfall bulk JSON>");
+    process.exit(1);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 10000) {
+    console.error("❌ --batch-size must be an integer between 1 and 10000");
+    process.exit(1);
+  }
+
+  const fromName = bulkInfoFromFileName(file);
+  const bulkType = args["bulk-type"] ? String(args["bulk-type"]) : fromName.bulkType;
+  const updatedAt = args["updated-at"] ? String(args["updated-at"]) : fromName.updatedAt;
+  if (!bulkType || !updatedAt) {
+    console.error(
+      "❌ Could not tell the bulk type / updated_at from the file name; pass --bulk-type and --updated-at"
+    );
+    process.exit(1);
+  }
+  const updatedAtDate = new Date(updatedAt);
+  if (Number.isNaN(updatedAtDate.getTime())) {
+    console.error(`❌ --updated-at is not a timestamp: ${updatedAt}`);
+    process.exit(1);
+  }
+  const priceDate = String(args["price-date"] || updatedAtDate.toISOString().slice(0, 10));
+  const meta = { bulkType, updatedAt: updatedAtDate.toISOString(), priceDate };
+
+  console.log(`📥 Importing Scryfall ${bulkType} (updated_at ${meta.updatedAt}, prices as of ${priceDate})`);
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  let seen = 0;
+  let cardsWritten = 0;
+  let pricesWritten = 0;
+
+  try {
+    await ensureTables(client);
+
+    const stream = await openInputStream(file, { entryPattern: /\.json$/i });
+    stream.setEncoding("utf8");
+
+    await client.query("BEGIN");
+    try {
+      let batch = [];
+      for await (const card of parseJsonArray(stream)) {
+        if (!card?.id) continue;
+        batch.push(card);
+        seen++;
+
+        if (batch.length >= batchSize) {
+          const res = await upsertBatch(client, batch, meta);
+          cardsWritten += res.cards;
+          pricesWritten += res.prices;
+          batch = [];
+
+          if (seen % 50000 < batchSize) console.log(`... ${seen} cards`);
+        }
+      }
+      const res = await upsertBatch(client, batch, meta);
+      cardsWritten += res.cards;
+      pricesWritten += res.prices;
+
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    }
+
+    console.log(`✅ Read ${seen} cards`);
+    console.log(`✅ Inserted/updated ${cardsWritten} scryfall_cards_raw rows (${seen - cardsWritten} unchanged)`);
+    console.log(`✅ Wrote ${pricesWritten} price history rows for ${priceDate}`);
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error importing Scryfall bulk data:", err?.stack || err?.message || err);
+  process.exit(1);
+});
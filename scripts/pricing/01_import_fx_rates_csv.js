@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/01_import_fx_rates_csv.js
+ *
+ * Load exchange rates from a CSV file into fx_rates, for
+ * 03_build_market_price_daily.js --fx.
+ *
+ * fx_rates: one row per (rate_date, base, quote); 1 base = rate quote.
+ *
+ * Input (plain, .gz or .zip), either
+ *   long:  date,base,quote,rate          (also rate_date / from / to)
+ *          2025-12-19,EUR,USD,1.0512
+ *   wide:  date,USD,GBP,JPY              (one column per quote currency, needs --base;
+ *          2025-12-19,1.0512,0.8731,...   the ECB reference-rate layout)
+ *
+ * Behavior:
+ *   - Currency codes are 3 upper-case letters; rates must be positive numbers.
+ *     Bad rows are skipped and reported (first 10 shown); empty / "N/A" cells in the
+ *     wide layout are skipped silently
+ *   - Upserts on (rate_date, base, quote), recording --source (default: file name)
+ *   - One transaction for the whole file
+ *
+ * Usage:
+ *   node scripts/pricing/01_import_fx_rates_csv.js --file ./data/fx/rates.csv
+ *   node scripts/pricing/01_import_fx_rates_csv.js --file ./eurofxref-hist.zip --base EUR --source ecb
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const path = require("path");
+const { Client } = require("pg");
+const { readCsvRows } = require("../lib/csv");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+const CURRENCY = /^[A-Z]{3}$/;
+const YMD = /^\d{4}-\d{2}-\d{2}$/;
+const BATCH_SIZE = 1000;
+
+const LONG_HEADERS = {
+  date: ["date", "rate_date"],
+  base: ["base", "from"],
+  quote: ["quote", "to"],
+  rate: ["rate"],
+};
+
+function headerIndex(header, names) {
+  return header.findIndex((h) => names.includes(h));
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.fx_rates (
+      rate_date date NOT NULL,
+      base text NOT NULL,
+      quote text NOT NULL,
+      rate numeric(18,8) NOT NULL CHECK (rate > 0),
+      source text,
+      imported_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (rate_date, base, quote)
+    )
+  `);
+}
+
+async function upsertBatch(client, batch, source) {
+  const values = [];
+  const params = [source];
+  for (const r of batch) {
+    const p = params.length;
+    values.push(`($${p + 1}::date, $${p + 2}, $${p + 3}, $${p + 4}::numeric, $1)`);
+    params.push(r.date, r.base, r.quote, r.rate);
+  }
+  const res = await client.query(
+    `
+    INSERT INTO public.fx_rates (rate_date, base, quote, rate, source)
+    VALUES ${values.join(",\n    ")}
+    ON CONFLICT (rate_date, base, quote)
+    DO UPDATE SET
+      rate = EXCLUDED.rate,
+      source = EXCLUDED.source,
+      imported_at = now()
+    WHERE fx_rates.rate IS DISTINCT FROM EXCLUDED.rate
+    RETURNING (xmax = 0) AS inserted
+    `,
+    params
+  );
+  const inserted = res.rows.filter((r) => r.inserted).length;
+  return { inserted, updated: res.rowCount - inserted };
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const file = args.file ? String(args.file) : "";
+  const base = args.base ? String(args.base).toUpperCase() : null;
+  const source = args.source ? String(args.source) : path.basename(file);
+
+  if (!file) {
+    console.error("❌ --file is required");
+    process.exit(1);
+  }
+  if (base && !CURRENCY.test(base)) {
+    console.error("❌ --base must be a 3-letter currency code");
+    process.exit(1);
+  }
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  console.log(`📥 Importing FX rates from ${file}`);
+
+  let layout = null;
+  let cols = null;
+  let lineNo = 0;
+  let rows = 0;
+  const rejects = [];
+  const totals = { inserted: 0, updated: 0 };
+  // Within one file the last row for a key wins; a batch must not hit the same key twice.
+  let batch = new Map();
+
+  const flush = async () => {
+    if (!batch.size) return;
+    const res = await upsertBatch(client, [...batch.values()], source);
+    totals.inserted += res.inserted;
+    totals.updated += res.updated;
+    batch = new Map();
+  };
+
+  const add = async (date, from, to, rateText, cellNo) => {
+    const rate = Number(String(rateText).trim());
+    const reason = !YMD.test(date)
+      ? "bad_date"
+      : !CURRENCY.test(from) || !CURRENCY.test(to) || from === to
+        ? "bad_currency"
+        : !(Number.isFinite(rate) && rate > 0)
+          ? "bad_rate"
+          : null;
+    if (reason) {
+      rejects.push({ line: lineNo, cell: cellNo, reason, date, base: from, quote: to, rate: rateText });
+      return;
+    }
+    batch.set(`${date}|${from}|${to}`, { date, base: from, quote: to, rate: String(rate) });
+    rows++;
+    if (batch.size >= BATCH_SIZE) await flush();
+  };
+
+  try {
+    await ensureTable(client);
+    await client.query("BEGIN");
+
+    for await (const cells of readCsvRows(file)) {
+      lineNo++;
+      if (!cells.length || (cells.length === 1 && !cells[0].trim())) continue;
+
+      if (!layout) {
+        const header = cells.map((c) => c.trim().replace(/^\uFEFF/, ""));
+        const lower = header.map((h) => h.toLowerCase());
+        const idx = Object.fromEntries(
+          Object.entries(LONG_HEADERS).map(([k, names]) => [k, headerIndex(lower, names)])
+        );
+        if (Object.values(idx).every((i) => i >= 0)) {
+          layout = "long";
+          cols = idx;
+        } else {
+          const dateIdx = headerIndex(lower, LONG_HEADERS.date);
+          if (dateIdx < 0) throw new Error(`${file}: no date column in header (${header.join(", ")})`);
+          if (!base) throw new Error(`${file}: no base/quote/rate columns; pass --base for a wide (one column per currency) file`);
+          layout = "wide";
+          cols = {
+            date: dateIdx,
+            quotes: header
+              .map((h, i) => ({ quote: h.toUpperCase(), i }))
+              .filter((q) => q.i !== dateIdx && q.quote),
+          };
+        }
+        console.log(`📊 ${layout} layout${layout === "wide" ? ` (base ${base}, ${cols.quotes.length} currencies)` : ""}`);
+        continue;
+      }
+
+      const date = String(cells[cols.date] ?? "").trim();
+      if (layout === "long") {
+        await add(
+          date,
+          String(cells[cols.base] ?? "").trim().toUpperCase(),
+          String(cells[cols.quote] ?? "").trim().toUpperCase(),
+          cells[cols.rate] ?? "",
+          null
+        );
+      } else {
+        for (const q of cols.quotes) {
+          const v = String(cells[q.i] ?? "").trim();
+          if (!v || /^n\/?a$/i.test(v)) continue;
+          await add(date, base, q.quote, v, q.i + 1);
+        }
+      }
+    }
+    await flush();
+
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    await client.end();
+  }
+
+  console.log(`✅ ${rows} rates read: ${totals.inserted} inserted, ${totals.updated} updated, rest unchanged`);
+  if (rejects.length) {
+    console.log(`⚠️ Skipped ${rejects.length} bad rates`);
+    console.table(rejects.slice(0, 10));
+  }
+})().catch((err) => {
+  console.error("❌ Error importing FX rates:", err?.stack || err?.message || err);
+  process.exit(1);
+});
@@ -3,17 +3,75 @@
  * Import PriceCharting daily CSV into pricecharting_prices_raw
  *
  * Usage:
- *   node scripts/pricing/10_import_pricecharting_csv.js --game pokemon --file ./data/pricecharting/pokemon.csv
- *   node scripts/pricing/10_import_pricecharting_csv.js --game yugioh  --file ./data/pricecharting/yugioh.csv --date 2025-12-19
- *   node scripts/pricing/10_import_pricecharting_csv.js --game mtg     --file ./data/pricecharting/mtg.csv
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game pokemon --file ./data/pricecharting/pokemon.csv
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game yugioh  --file ./data/pricecharting/yugioh.csv --date 2025-12-19
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game mtg     --file ./data/pricecharting/mtg.csv --batch-size 2000
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game pokemon --file ./data/pricecharting/pokemon.csv --force
+ *   node scripts/pricing/01_import_pricecharting_csv.js --list-runs [--game pokemon] [--limit 50]
+ *   node scripts/pricing/01_import_pricecharting_csv.js --show-run 123
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game mtg --file ./mtg.csv --rejects-csv ./mtg.rejects.csv --max-reject-rate 0.01
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game pokemon --file ./pokemon_cents.csv --profile pricecharting-cents
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game pokemon --file ./pokemon.csv --check-headers
+ *   node scripts/pricing/01_import_pricecharting_csv.js --game pokemon --file ./pokemon_2025-12-19.csv.gz --date 2025-12-19
+ *   node scripts/pricing/01_import_pricecharting_csv.js --dir ./drops/pricecharting
+ *   node scripts/pricing/01_import_pricecharting_csv.js --dir ./drops/pricecharting --match "*.zip" --game mtg --archive-dir ./drops/done
+ *
+ * Behavior:
+ *   - Maps columns with a profile from config/csv_profiles.json (--profile, default
+ *     "pricecharting-<game>" if defined, else "pricecharting"; --profiles <file> to
+ *     use another config). The header row is validated before the database is
+ *     touched: unknown, missing-required and duplicated headers abort the import.
+ *     --check-headers validates and exits.
+ *   - Streams the file (memory stays flat regardless of size); .gz and .zip
+ *     inputs are decompressed on the fly
+ *   - Stages rows into a temp table in multi-row batches (--batch-size, default 1000)
+ *   - Merges the stage into pricecharting_prices_raw in the same transaction,
+ *     so a failed import never leaves a half-loaded source_date
+ *   - Tracks each run in pricecharting_import_runs (status started/succeeded/failed,
+ *     timings, error, inserted/updated/skipped counts)
+ *   - Refuses a file whose sha256 was already imported for the same game + date
+ *     unless --force is passed
+ *   - Quarantines rejected and partially-parsed rows in pricecharting_import_rejects
+ *     (run id, line number, raw cells, reason code) and optionally a --rejects-csv file.
+ *     Reason codes: missing_id, missing_name, wrong_column_count,
+ *     bad_price:<column> (loaded as NULL), bad_date:release_date (loaded as NULL)
+ *   - Fails the run (nothing merged) when rejected rows / data rows exceeds
+ *     --max-reject-rate (default 0.05)
+ *
+ * Directory mode (--dir):
+ *   - Picks files in --dir matching --match (default "*.{csv,csv.gz,zip}")
+ *   - Infers game + source_date from the file name with --name-pattern, a regex
+ *     with named groups "game" and "date" (default matches names like
+ *     pokemon_2025-12-19.csv.gz, pricecharting-mtg-20251219.zip)
+ *   - Imports in source_date order (then game), stopping at the first failure
+ *     unless --continue-on-error is passed; --game limits the run to one game
+ *   - Processed files (imported, or already imported per sha256) are moved to
+ *     --archive-dir if given, else marked with a "<file>.imported" file and
+ *     skipped on later runs
  *
  * Env:
  *   DATABASE_URL=postgres://...
  */
 
 const fs = require("fs");
+const path = require("path");
 const crypto = require("crypto");
 const { Client } = require("pg");
+const {
+  normalizeHeader,
+  loadProfiles,
+  resolveProfile,
+  pickProfileName,
+  validateHeaders,
+  parseMoney,
+} = require("../lib/csvProfiles");
+const { readCsvRows, csvCell } = require("../lib/csv");
+
+const GAMES = ["pokemon", "yugioh", "mtg"];
+const GAME_ALIASES = { ygo: "yugioh", magic: "mtg" };
+
+const DEFAULT_NAME_PATTERN =
+  "^(?:pricecharting[-_])?(?<game>pokemon|yugioh|ygo|mtg|magic)[-_](?<date>\\d{4}[-_]?\\d{2}[-_]?\\d{2})";
 
 function parseArgs(argv) {
   const args = { _: [] };
@@ -32,224 +90,775 @@ function parseArgs(argv) {
   return args;
 }
 
-// Minimal CSV parser that handles quoted commas
-function parseCsv(text) {
-  const rows = [];
-  let row = [];
-  let cur = "";
-  let inQuotes = false;
+async function sha256File(file) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest("hex");
+}
 
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    const next = text[i + 1];
+function isIsoDate(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
 
-    if (inQuotes) {
-      if (ch === '"' && next === '"') {
-        cur += '"';
-        i++;
-      } else if (ch === '"') {
-        inQuotes = false;
-      } else {
-        cur += ch;
-      }
-    } else {
-      if (ch === '"') inQuotes = true;
-      else if (ch === ",") {
-        row.push(cur);
-        cur = "";
-      } else if (ch === "\n") {
-        row.push(cur);
-        rows.push(row);
-        row = [];
-        cur = "";
-      } else if (ch === "\r") {
-        // ignore
-      } else cur += ch;
-    }
-  }
-  // final cell
-  if (cur.length || row.length) {
-    row.push(cur);
-    rows.push(row);
-  }
-  return rows;
+// Price targets, in the order they are staged. bad_price:<key> reason codes
+// use the target without its "_price_cents" suffix (e.g. bad_price:loose).
+const PRICE_TARGETS = [
+  "loose_price_cents",
+  "cib_price_cents",
+  "new_price_cents",
+  "graded_price_cents",
+  "box_only_price_cents",
+  "manual_only_price_cents",
+  "bgs_10_price_cents",
+  "cgc_10_price_cents",
+  "psa_10_price_cents",
+];
+
+// Staged columns, in the order they are bound per row.
+const STAGE_COLUMNS = [
+  "line_no",
+  "pricecharting_id",
+  "product_name",
+  "console_name",
+  "loose_price_cents",
+  "cib_price_cents",
+  "new_price_cents",
+  "graded_price_cents",
+  "box_only_price_cents",
+  "manual_only_price_cents",
+  "bgs_10_price_cents",
+  "cgc_10_price_cents",
+  "psa_10_price_cents",
+  "release_date",
+  "raw",
+];
+
+// Postgres caps a statement at 65535 bind params.
+const MAX_BATCH_SIZE = Math.floor(65535 / STAGE_COLUMNS.length);
+
+async function insertStageBatch(client, batch) {
+  if (!batch.length) return;
+  const n = STAGE_COLUMNS.length;
+  const valuesSql = batch
+    .map((_r, i) => `(${STAGE_COLUMNS.map((_c, j) => `$${i * n + j + 1}`).join(",")})`)
+    .join(",\n");
+  const params = [];
+  for (const r of batch) params.push(...r);
+
+  await client.query(
+    `INSERT INTO pricecharting_stage (${STAGE_COLUMNS.join(", ")})
+     VALUES ${valuesSql}`,
+    params
+  );
 }
 
-function centsFromMoney(v) {
-  if (v == null) return null;
-  const s = String(v).trim();
-  if (!s) return null;
+// Run lifecycle columns on top of the original (game, file_name, file_sha256, meta, row_count).
+async function ensureRunColumns(client) {
+  await client.query(`
+    ALTER TABLE public.pricecharting_import_runs
+      ADD COLUMN IF NOT EXISTS source_date date,
+      ADD COLUMN IF NOT EXISTS status text,
+      ADD COLUMN IF NOT EXISTS started_at timestamptz,
+      ADD COLUMN IF NOT EXISTS finished_at timestamptz,
+      ADD COLUMN IF NOT EXISTS error text,
+      ADD COLUMN IF NOT EXISTS inserted_count int,
+      ADD COLUMN IF NOT EXISTS updated_count int,
+      ADD COLUMN IF NOT EXISTS skipped_count int,
+      ADD COLUMN IF NOT EXISTS rejected_count int,
+      ADD COLUMN IF NOT EXISTS reject_counts jsonb
+  `);
+}
+
+async function ensureRejectsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.pricecharting_import_rejects (
+      id bigserial PRIMARY KEY,
+      run_id bigint NOT NULL,
+      line_no int NOT NULL,
+      reason text NOT NULL,
+      detail text,
+      raw_cells jsonb NOT NULL,
+      created_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS pricecharting_import_rejects_run_idx
+      ON public.pricecharting_import_rejects (run_id, reason)
+  `);
+}
 
-  // allow "$1,234.56" or "1234.56" or "1234"
-  const cleaned = s.replace(/[$,]/g, "");
-  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+async function insertRejectBatch(client, runId, batch) {
+  if (!batch.length) return;
+  const valuesSql = batch
+    .map((_r, i) => `($1, $${i * 4 + 2}, $${i * 4 + 3}, $${i * 4 + 4}, $${i * 4 + 5}::jsonb)`)
+    .join(",\n");
+  const params = [runId];
+  for (const r of batch) params.push(r.lineNo, r.reason, r.detail, JSON.stringify(r.cells));
 
-  const n = Number(cleaned);
-  if (!Number.isFinite(n)) return null;
-  return Math.round(n * 100);
+  await client.query(
+    `INSERT INTO public.pricecharting_import_rejects (run_id, line_no, reason, detail, raw_cells)
+     VALUES ${valuesSql}`,
+    params
+  );
 }
 
-function normalizeHeader(h) {
-  return String(h || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, "_")
-    .replace(/[^a-z0-9_]/g, "");
+// Runs from before status tracking have status NULL; those only got a
+// row_count when they finished, so treat that as "succeeded".
+async function findPriorImport(client, { game, sha, sourceDate }) {
+  const { rows } = await client.query(
+    `SELECT id, file_name, finished_at
+     FROM public.pricecharting_import_runs
+     WHERE game = $1
+       AND file_sha256 = $2
+       AND COALESCE(source_date, (meta->>'source_date')::date) = $3::date
+       AND (status = 'succeeded' OR (status IS NULL AND row_count IS NOT NULL))
+     ORDER BY id DESC
+     LIMIT 1`,
+    [game, sha, sourceDate]
+  );
+  return rows[0] || null;
 }
 
-(async function main() {
-  const args = parseArgs(process.argv);
-  const game = (args.game || "").toLowerCase();
-  const file = args.file;
-  const sourceDate = args.date || new Date().toISOString().slice(0, 10);
+async function listRuns(client, { game, limit }) {
+  const params = [limit];
+  let where = "";
+  if (game) {
+    params.push(game);
+    where = "WHERE game = $2";
+  }
 
-  if (!process.env.DATABASE_URL) {
-    console.error("❌ DATABASE_URL not set");
-    process.exit(1);
+  const { rows } = await client.query(
+    `SELECT
+       id, game,
+       COALESCE(source_date, (meta->>'source_date')::date)::text AS source_date,
+       COALESCE(status, CASE WHEN row_count IS NOT NULL THEN 'succeeded' ELSE 'unknown' END) AS status,
+       started_at, finished_at,
+       row_count, inserted_count, updated_count, skipped_count,
+       file_name
+     FROM public.pricecharting_import_runs
+     ${where}
+     ORDER BY id DESC
+     LIMIT $1`,
+    params
+  );
+
+  if (!rows.length) {
+    console.log("No import runs found.");
+    return;
   }
-  if (!file) {
-    console.error("❌ Missing --file <path>");
-    process.exit(1);
+
+  console.table(
+    rows.map((r) => ({
+      id: r.id,
+      game: r.game,
+      source_date: r.source_date,
+      status: r.status,
+      secs:
+        r.started_at && r.finished_at
+          ? Math.round((new Date(r.finished_at) - new Date(r.started_at)) / 1000)
+          : null,
+      rows: r.row_count,
+      ins: r.inserted_count,
+      upd: r.updated_count,
+      skip: r.skipped_count,
+      file: r.file_name,
+    }))
+  );
+}
+
+async function showRun(client, runId) {
+  const { rows } = await client.query(
+    `SELECT * FROM public.pricecharting_import_runs WHERE id = $1`,
+    [runId]
+  );
+  if (!rows.length) {
+    console.error(`❌ No import run with id ${runId}`);
+    process.exitCode = 1;
+    return;
   }
-  if (!["pokemon", "yugioh", "mtg"].includes(game)) {
-    console.error("❌ --game must be pokemon|yugioh|mtg");
-    process.exit(1);
+  console.log(JSON.stringify(rows[0], null, 2));
+}
+
+// Targets a profile may map; anything else in the profile is a config mistake.
+const PROFILE_TARGETS = new Set([
+  "pricecharting_id",
+  "product_name",
+  "console_name",
+  "release_date",
+  ...PRICE_TARGETS,
+]);
+
+/**
+ * Read the header row of a CSV and validate it against a profile. Does not
+ * touch the database; returns the row iterator positioned after the header.
+ */
+async function openCsv(file, profile) {
+  for (const target of Object.keys(profile.columns)) {
+    if (!PROFILE_TARGETS.has(target)) {
+      throw new Error(`CSV profile "${profile.name}" maps unknown target column ${target}`);
+    }
+  }
+  for (const target of ["pricecharting_id", "product_name"]) {
+    if (!profile.columns[target]) {
+      throw new Error(`CSV profile "${profile.name}" must map ${target}`);
+    }
   }
 
-  const buf = fs.readFileSync(file);
-  const sha = crypto.createHash("sha256").update(buf).digest("hex");
-  const text = buf.toString("utf8");
+  const rowsIter = readCsvRows(file);
+  const first = await rowsIter.next();
+  if (first.done) {
+    throw new Error(`CSV has no data: ${file}`);
+  }
 
-  const rows = parseCsv(text);
-  if (rows.length < 2) {
-    console.error("❌ CSV has no data");
-    process.exit(1);
+  const rawHeaders = first.value;
+  const { index, errors, warnings } = validateHeaders(profile, rawHeaders);
+  return { rowsIter, headers: rawHeaders.map(normalizeHeader), index, errors, warnings };
+}
+
+function reportHeaderCheck(file, profile, csv) {
+  for (const w of csv.warnings) console.log(`⚠️ ${file}: ${w}`);
+  for (const e of csv.errors) console.error(`❌ ${file}: ${e}`);
+  if (csv.errors.length) {
+    console.error(`❌ ${file}: header row does not match profile "${profile.name}"`);
+    return false;
   }
+  return true;
+}
 
-  const headers = rows[0].map(normalizeHeader);
-  const idx = {};
-  headers.forEach((h, i) => (idx[h] = i));
-
-  // These are the headers your earlier CSV format used (from our previous work):
-  // id, product-name, console-name, release-date, loose-price, cib-price, new-price, graded-price, etc.
-  // We’ll support multiple variants by trying common header names.
-  function getCell(r, ...names) {
-    for (const n of names) {
-      const k = normalizeHeader(n);
-      if (idx[k] != null) return r[idx[k]] ?? "";
-    }
-    return "";
+async function importFile(client, { game, file, sourceDate, batchSize, force, maxRejectRate, rejectsCsv, profile, csv }) {
+  const sha = await sha256File(file);
+
+  const prior = await findPriorImport(client, { game, sha, sourceDate });
+  if (prior && !force) {
+    await csv.rowsIter.return();
+    return { duplicateOf: prior.id, sha };
+  }
+  if (prior) {
+    console.log(`⚠️ Re-importing file already loaded as run_id=${prior.id} (--force)`);
   }
 
-  const client = new Client({ connectionString: process.env.DATABASE_URL });
-  await client.connect();
+  const { rowsIter, headers, index } = csv;
+
+  // Cell for a profile target column ("" when the file doesn't have it).
+  function getCell(r, target) {
+    const i = index[target];
+    return i != null ? r[i] ?? "" : "";
+  }
 
   // record run
   const runRes = await client.query(
-    `INSERT INTO public.pricecharting_import_runs (game, file_name, file_sha256, meta)
-     VALUES ($1,$2,$3,$4)
+    `INSERT INTO public.pricecharting_import_runs
+       (game, file_name, file_sha256, meta, source_date, status, started_at)
+     VALUES ($1,$2,$3,$4,$5,'started',now())
      RETURNING id`,
-    [game, file, sha, { source_date: sourceDate }]
+    [game, file, sha, { source_date: sourceDate, forced: !!prior, profile: profile.name }, sourceDate]
   );
   const runId = runRes.rows[0].id;
 
-  const upsertSql = `
-    INSERT INTO public.pricecharting_prices_raw (
-      game, pricecharting_id, product_name, console_name,
-      loose_price_cents, cib_price_cents, new_price_cents, graded_price_cents,
-      box_only_price_cents, manual_only_price_cents,
-      bgs_10_price_cents, cgc_10_price_cents, psa_10_price_cents,
-      release_date, source_date, raw, updated_at
-    )
-    VALUES (
-      $1,$2,$3,$4,
-      $5,$6,$7,$8,
-      $9,$10,
-      $11,$12,$13,
-      $14,$15,$16, now()
+  // Stage every row into a temp table first, then merge into
+  // pricecharting_prices_raw with a single statement. Everything runs in one
+  // transaction, so a failure partway through leaves the source_date untouched.
+  // xmax = 0 on a RETURNING row means it was freshly inserted, not updated.
+  const mergeSql = `
+    WITH merged AS (
+      INSERT INTO public.pricecharting_prices_raw (
+        game, pricecharting_id, product_name, console_name,
+        loose_price_cents, cib_price_cents, new_price_cents, graded_price_cents,
+        box_only_price_cents, manual_only_price_cents,
+        bgs_10_price_cents, cgc_10_price_cents, psa_10_price_cents,
+        release_date, source_date, raw, updated_at
+      )
+      SELECT DISTINCT ON (s.pricecharting_id)
+        $1, s.pricecharting_id, s.product_name, s.console_name,
+        s.loose_price_cents, s.cib_price_cents, s.new_price_cents, s.graded_price_cents,
+        s.box_only_price_cents, s.manual_only_price_cents,
+        s.bgs_10_price_cents, s.cgc_10_price_cents, s.psa_10_price_cents,
+        s.release_date, $2::date, s.raw, now()
+      FROM pricecharting_stage s
+      -- a file that repeats an id keeps its last occurrence (same as the old row-by-row upsert)
+      ORDER BY s.pricecharting_id, s.line_no DESC
+      ON CONFLICT (game, pricecharting_id, source_date)
+      DO UPDATE SET
+        product_name = EXCLUDED.product_name,
+        console_name = EXCLUDED.console_name,
+        loose_price_cents = EXCLUDED.loose_price_cents,
+        cib_price_cents = EXCLUDED.cib_price_cents,
+        new_price_cents = EXCLUDED.new_price_cents,
+        graded_price_cents = EXCLUDED.graded_price_cents,
+        box_only_price_cents = EXCLUDED.box_only_price_cents,
+        manual_only_price_cents = EXCLUDED.manual_only_price_cents,
+        bgs_10_price_cents = EXCLUDED.bgs_10_price_cents,
+        cgc_10_price_cents = EXCLUDED.cgc_10_price_cents,
+        psa_10_price_cents = EXCLUDED.psa_10_price_cents,
+        release_date = EXCLUDED.release_date,
+        raw = EXCLUDED.raw,
+        updated_at = now()
+      RETURNING (xmax = 0) AS inserted
     )
-    ON CONFLICT (game, pricecharting_id, source_date)
-    DO UPDATE SET
-      product_name = EXCLUDED.product_name,
-      console_name = EXCLUDED.console_name,
-      loose_price_cents = EXCLUDED.loose_price_cents,
-      cib_price_cents = EXCLUDED.cib_price_cents,
-      new_price_cents = EXCLUDED.new_price_cents,
-      graded_price_cents = EXCLUDED.graded_price_cents,
-      box_only_price_cents = EXCLUDED.box_only_price_cents,
-      manual_only_price_cents = EXCLUDED.manual_only_price_cents,
-      bgs_10_price_cents = EXCLUDED.bgs_10_price_cents,
-      cgc_10_price_cents = EXCLUDED.cgc_10_price_cents,
-      psa_10_price_cents = EXCLUDED.psa_10_price_cents,
-      release_date = EXCLUDED.release_date,
-      raw = EXCLUDED.raw,
-      updated_at = now()
+    SELECT
+      COUNT(*) FILTER (WHERE inserted)::int AS inserted,
+      COUNT(*) FILTER (WHERE NOT inserted)::int AS updated
+    FROM merged
   `;
 
+  let dataRows = 0;
+  let staged = 0;
+  let rejected = 0; // rows not loaded at all
+  let partial = 0; // rows loaded with one or more fields nulled
   let inserted = 0;
-  for (let i = 1; i < rows.length; i++) {
-    const r = rows[i];
-    if (!r || r.length === 0) continue;
-
-    const pricecharting_id =
-      getCell(r, "id", "pricecharting_id", "product_id").trim();
-    const product_name =
-      getCell(r, "product-name", "product_name", "name").trim();
-    if (!pricecharting_id || !product_name) continue;
-
-    const console_name = getCell(r, "console-name", "console_name").trim() || null;
-    const release_date = (getCell(r, "release-date", "release_date") || "").trim() || null;
-
-    // prices
-    const loose = centsFromMoney(getCell(r, "loose-price", "loose_price", "loose_price_cents"));
-    const cib = centsFromMoney(getCell(r, "cib-price", "cib_price", "cib_price_cents"));
-    const newp = centsFromMoney(getCell(r, "new-price", "new_price", "new_price_cents"));
-    const graded = centsFromMoney(getCell(r, "graded-price", "graded_price", "graded_price_cents"));
-    const boxOnly = centsFromMoney(getCell(r, "box-only-price", "box_only_price", "box_only_price_cents"));
-    const manualOnly = centsFromMoney(getCell(r, "manual-only-price", "manual_only_price", "manual_only_price_cents"));
-    const bgs10 = centsFromMoney(getCell(r, "bgs-10-price", "bgs_10_price", "bgs_10_price_cents"));
-    const cgc10 = centsFromMoney(getCell(r, "cgc-10-price", "cgc_10_price", "cgc_10_price_cents"));
-    const psa10 = centsFromMoney(getCell(r, "psa-10-price", "psa_10_price", "psa_10_price_cents"));
-
-    const rawObj = {};
-    headers.forEach((h, j) => {
-      rawObj[h] = r[j] ?? "";
-    });
-
-    await client.query(upsertSql, [
-      game,
-      pricecharting_id,
-      product_name,
-      console_name,
-      loose,
-      cib,
-      newp,
-      graded,
-      boxOnly,
-      manualOnly,
-      bgs10,
-      cgc10,
-      psa10,
-      release_date,
-      sourceDate,
-      rawObj,
-    ]);
-    inserted++;
-
-    if (inserted % 5000 === 0) {
-      console.log(`... processed ${inserted} rows`);
+  let updated = 0;
+  let failure = null;
+  const reasonCounts = {};
+
+  // A bad --rejects-csv path (or a write error later) fails the run like any other error.
+  let rejectsError = null;
+  const rejectsOut = rejectsCsv ? fs.createWriteStream(rejectsCsv, { encoding: "utf8" }) : null;
+  const rejectsReady = rejectsOut
+    ? new Promise((resolve) => {
+        rejectsOut.on("error", (e) => {
+          rejectsError = rejectsError || e;
+          resolve();
+        });
+        rejectsOut.once("ready", resolve);
+      })
+    : null;
+  const checkRejectsOut = () => {
+    if (rejectsError) throw new Error(`--rejects-csv ${rejectsCsv}: ${rejectsError.message}`);
+  };
+
+  await client.query("BEGIN");
+  try {
+    if (rejectsOut) {
+      await rejectsReady;
+      checkRejectsOut();
+      rejectsOut.write("run_id,line_no,reason,detail,raw_cells\n");
+    }
+
+    await client.query(`
+      CREATE TEMP TABLE pricecharting_stage (
+        line_no int NOT NULL,
+        pricecharting_id text NOT NULL,
+        product_name text NOT NULL,
+        console_name text,
+        loose_price_cents int,
+        cib_price_cents int,
+        new_price_cents int,
+        graded_price_cents int,
+        box_only_price_cents int,
+        manual_only_price_cents int,
+        bgs_10_price_cents int,
+        cgc_10_price_cents int,
+        psa_10_price_cents int,
+        release_date date,
+        raw jsonb
+      ) ON COMMIT DROP
+    `);
+
+    let batch = [];
+    let rejectBatch = [];
+    let lineNo = 1; // CSV record number; the header was 1
+
+    const quarantine = (cells, reason, detail = null) => {
+      reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+      rejectBatch.push({ lineNo, reason, detail, cells });
+      if (rejectsOut) {
+        rejectsOut.write(
+          [runId, lineNo, reason, detail, JSON.stringify(cells)].map(csvCell).join(",") + "\n"
+        );
+      }
+    };
+
+    for await (const r of rowsIter) {
+      lineNo++;
+      if (!r || r.length === 0) continue;
+      if (r.every((c) => !String(c).trim())) continue; // blank line
+      dataRows++;
+
+      const reasonsBefore = rejectBatch.length;
+
+      if (r.length !== headers.length) {
+        quarantine(r, "wrong_column_count", `expected ${headers.length}, got ${r.length}`);
+      }
+
+      const pricecharting_id = getCell(r, "pricecharting_id").trim();
+      const product_name = getCell(r, "product_name").trim();
+      if (!pricecharting_id) quarantine(r, "missing_id");
+      if (!product_name) quarantine(r, "missing_name");
+
+      if (rejectBatch.length > reasonsBefore) {
+        rejected++;
+      } else {
+        const console_name = getCell(r, "console_name").trim() || null;
+
+        let release_date = getCell(r, "release_date").trim() || null;
+        if (release_date && !isIsoDate(release_date)) {
+          quarantine(r, "bad_date:release_date", release_date);
+          release_date = null;
+        }
+
+        // prices (unparseable values load as NULL and are quarantined as partial)
+        const prices = PRICE_TARGETS.map((target) => {
+          const col = profile.columns[target];
+          if (!col) return null;
+          const cell = getCell(r, target);
+          const cents = parseMoney(cell, col.format || "decimal");
+          if (cents == null && String(cell).trim()) {
+            quarantine(r, `bad_price:${target.replace(/_price_cents$/, "")}`, cell);
+          }
+          return cents;
+        });
+
+        if (rejectBatch.length > reasonsBefore) partial++;
+
+        const rawObj = {};
+        headers.forEach((h, j) => {
+          rawObj[h] = r[j] ?? "";
+        });
+
+        batch.push([
+          lineNo,
+          pricecharting_id,
+          product_name,
+          console_name,
+          ...prices,
+          release_date,
+          rawObj,
+        ]);
+      }
+
+      if (rejectBatch.length >= batchSize) {
+        await insertRejectBatch(client, runId, rejectBatch);
+        rejectBatch = [];
+      }
+
+      if (batch.length >= batchSize) {
+        await insertStageBatch(client, batch);
+        staged += batch.length;
+        batch = [];
+
+        if (staged % 50000 < batchSize) {
+          console.log(`... staged ${staged} rows`);
+        }
+      }
     }
+
+    await insertStageBatch(client, batch);
+    staged += batch.length;
+    await insertRejectBatch(client, runId, rejectBatch);
+
+    // Over the threshold: commit only the quarantine rows so they can be
+    // inspected, and leave pricecharting_prices_raw untouched.
+    const rejectRate = dataRows ? rejected / dataRows : 0;
+    if (rejectRate > maxRejectRate) {
+      failure =
+        `reject rate ${(rejectRate * 100).toFixed(2)}% (${rejected}/${dataRows}) ` +
+        `exceeds --max-reject-rate ${(maxRejectRate * 100).toFixed(2)}%`;
+    } else {
+      const mergeRes = await client.query(mergeSql, [game, sourceDate]);
+      inserted = mergeRes.rows[0].inserted;
+      updated = mergeRes.rows[0].updated;
+    }
+
+    checkRejectsOut();
+    await client.query("COMMIT");
+  } catch (e) {
+    if (rejectsOut) rejectsOut.end();
+    await client.query("ROLLBACK");
+    await client.query(
+      `UPDATE public.pricecharting_import_runs
+       SET status = 'failed', error = $2, finished_at = now()
+       WHERE id = $1`,
+      [runId, String(e?.stack || e?.message || e)]
+    );
+    throw e;
+  }
+
+  if (rejectsOut) {
+    await new Promise((resolve) => rejectsOut.end(resolve));
+    if (rejectsError) console.error(`⚠️ --rejects-csv ${rejectsCsv} is incomplete: ${rejectsError.message}`);
+  }
+
+  // Reason counts are per reason code, so one row can count towards several.
+  const reasons = Object.entries(reasonCounts).sort((a, b) => b[1] - a[1]);
+  if (reasons.length) {
+    console.log(`⚠️ ${rejected} rejected, ${partial} partially parsed (of ${dataRows} data rows):`);
+    for (const [reason, n] of reasons) console.log(`   ${reason}: ${n}`);
+    if (rejectsCsv) console.log(`   rejects written to ${rejectsCsv}`);
+  }
+
+  if (failure) {
+    await client.query(
+      `UPDATE public.pricecharting_import_runs
+       SET status = 'failed',
+           error = $2,
+           finished_at = now(),
+           rejected_count = $3,
+           reject_counts = $4
+       WHERE id = $1`,
+      [runId, failure, rejected, reasonCounts]
+    );
+    throw new Error(`${file}: ${failure} (run_id=${runId})`);
   }
 
+  // skipped = rejected rows + duplicate ids collapsed by the merge
+  const skipped = rejected + (staged - inserted - updated);
+
   await client.query(
     `UPDATE public.pricecharting_import_runs
-     SET row_count = $2
+     SET status = 'succeeded',
+         finished_at = now(),
+         row_count = $2,
+         inserted_count = $3,
+         updated_count = $4,
+         skipped_count = $5,
+         rejected_count = $6,
+         reject_counts = $7
      WHERE id = $1`,
-    [runId, inserted]
+    [runId, inserted + updated, inserted, updated, skipped, rejected, reasonCounts]
+  );
+
+  console.log(
+    `✅ ${file}: inserted ${inserted}, updated ${updated}, skipped ${skipped} ` +
+      `in pricecharting_prices_raw (run_id=${runId})`
+  );
+  return { runId, inserted, updated, skipped, rejected, partial };
+}
+
+// Glob for a single path segment: *, ? and {a,b} alternation.
+function globToRegExp(glob) {
+  let re = "";
+  let depth = 0;
+  for (const ch of glob) {
+    if (ch === "*") re += "[^/]*";
+    else if (ch === "?") re += "[^/]";
+    else if (ch === "{") {
+      re += "(?:";
+      depth++;
+    } else if (ch === "}" && depth) {
+      re += ")";
+      depth--;
+    } else if (ch === "," && depth) re += "|";
+    else re += ch.replace(/[.+^$()|[\]\\{}]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`, "i");
+}
+
+/**
+ * Files in a drop folder, with game/source_date parsed from their names,
+ * sorted for import. Unparseable names are returned separately.
+ */
+function findDropFiles(dir, { match, namePattern, game }) {
+  const matchRe = globToRegExp(match);
+  const nameRe = new RegExp(namePattern, "i");
+  const files = [];
+  const unmatched = [];
+
+  for (const name of fs.readdirSync(dir).sort()) {
+    const full = path.join(dir, name);
+    if (!matchRe.test(name) || !fs.statSync(full).isFile()) continue;
+    if (fs.existsSync(`${full}.imported`)) continue;
+
+    const m = nameRe.exec(name);
+    const g = m?.groups?.game?.toLowerCase();
+    const fileGame = GAME_ALIASES[g] || g;
+    const digits = String(m?.groups?.date || "").replace(/\D/g, "");
+    const date = digits.length === 8 ? `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6)}` : null;
+
+    if (!GAMES.includes(fileGame) || !date || !isIsoDate(date)) {
+      unmatched.push(name);
+      continue;
+    }
+    if (game && fileGame !== game) continue;
+    files.push({ file: full, game: fileGame, sourceDate: date });
+  }
+
+  files.sort(
+    (a, b) => a.sourceDate.localeCompare(b.sourceDate) || a.game.localeCompare(b.game) || a.file.localeCompare(b.file)
   );
+  return { files, unmatched };
+}
+
+function markProcessed(file, { archiveDir, runId }) {
+  if (archiveDir) {
+    fs.mkdirSync(archiveDir, { recursive: true });
+    const dest = path.join(archiveDir, path.basename(file));
+    try {
+      fs.renameSync(file, dest);
+    } catch (e) {
+      // Archive dir on another filesystem: rename can't cross devices.
+      if (e.code !== "EXDEV") throw e;
+      fs.copyFileSync(file, dest);
+      fs.unlinkSync(file);
+    }
+    console.log(`   archived → ${dest}`);
+  } else {
+    fs.writeFileSync(`${file}.imported`, `${JSON.stringify({ run_id: runId, at: new Date().toISOString() })}\n`);
+  }
+}
 
-  await client.end();
-  console.log(`✅ Imported ${inserted} rows into pricecharting_prices_raw (run_id=${runId})`);
+function profileFor(args, game) {
+  const profiles = args.profiles ? loadProfiles(String(args.profiles)) : loadProfiles();
+  const profileName = args.profile ? String(args.profile) : pickProfileName(profiles, "pricecharting", game);
+  const profile = resolveProfile(profiles, profileName);
+  if (profile.games && !profile.games.includes(game)) {
+    throw new Error(`CSV profile "${profile.name}" is not for game ${game} (${profile.games.join(", ")})`);
+  }
+  return profile;
+}
+
+async function importDir(client, dir, args, opts) {
+  const { files, unmatched } = findDropFiles(dir, {
+    match: String(args.match || "*.{csv,csv.gz,zip}"),
+    namePattern: String(args["name-pattern"] || DEFAULT_NAME_PATTERN),
+    game: opts.game || null,
+  });
+  const archiveDir = args["archive-dir"] ? String(args["archive-dir"]) : null;
+  const continueOnError = !!args["continue-on-error"];
+
+  for (const name of unmatched) console.log(`⚠️ Skipping ${name}: game/date not found in file name`);
+  if (!files.length) {
+    console.log(`No files to import in ${dir}`);
+    return;
+  }
+  console.log(`📦 ${files.length} file(s) to import from ${dir}`);
+
+  const summary = { imported: 0, duplicate: 0, failed: 0 };
+
+  for (const [n, f] of files.entries()) {
+    console.log(`[${n + 1}/${files.length}] ${path.basename(f.file)} (${f.game} ${f.sourceDate})`);
+    try {
+      const profile = profileFor(args, f.game);
+      const csv = await openCsv(f.file, profile);
+      if (!reportHeaderCheck(f.file, profile, csv)) {
+        await csv.rowsIter.return();
+        throw new Error(`header row does not match profile "${profile.name}"`);
+      }
+
+      const res = await importFile(client, { ...opts, ...f, profile, csv });
+      if (res.duplicateOf) {
+        console.log(`   already imported as run_id=${res.duplicateOf}; skipping`);
+        summary.duplicate++;
+      } else {
+        summary.imported++;
+      }
+      markProcessed(f.file, { archiveDir, runId: res.runId ?? res.duplicateOf });
+    } catch (e) {
+      summary.failed++;
+      console.error(`❌ ${f.file}: ${e?.message || e}`);
+      if (!continueOnError) {
+        console.error("Stopping (pass --continue-on-error to keep going).");
+        break;
+      }
+    }
+  }
+
+  console.log(
+    `✅ Directory import: ${summary.imported} imported, ${summary.duplicate} already imported, ${summary.failed} failed`
+  );
+  if (summary.failed) process.exitCode = 1;
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const game = GAME_ALIASES[(args.game || "").toLowerCase()] || (args.game || "").toLowerCase();
+  const file = args.file;
+  const dir = args.dir ? String(args.dir) : null;
+  const sourceDate = args.date || new Date().toISOString().slice(0, 10);
+  const batchSize = Math.min(Number(args["batch-size"] || 1000), MAX_BATCH_SIZE);
+  const force = !!args.force;
+  const maxRejectRate = args["max-reject-rate"] != null ? Number(args["max-reject-rate"]) : 0.05;
+  const rejectsCsv = args["rejects-csv"] ? String(args["rejects-csv"]) : null;
+  const checkHeaders = !!args["check-headers"];
+
+  const listMode = !!(args["list-runs"] || args["show-run"]);
+
+  if (!process.env.DATABASE_URL && !checkHeaders) {
+    console.error("❌ DATABASE_URL not set");
+    process.exit(1);
+  }
+
+  let profile = null;
+  let csv = null;
+
+  if (!listMode) {
+    if (!file && !dir) {
+      console.error("❌ Missing --file <path> or --dir <path>");
+      process.exit(1);
+    }
+    if (file && dir) {
+      console.error("❌ Pass either --file or --dir, not both");
+      process.exit(1);
+    }
+    if (game ? !GAMES.includes(game) : !dir) {
+      console.error("❌ --game must be pokemon|yugioh|mtg");
+      process.exit(1);
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      console.error("❌ --batch-size must be a positive integer");
+      process.exit(1);
+    }
+    if (!Number.isFinite(maxRejectRate) || maxRejectRate < 0 || maxRejectRate > 1) {
+      console.error("❌ --max-reject-rate must be a number between 0 and 1");
+      process.exit(1);
+    }
+    if (dir && rejectsCsv) {
+      console.error("❌ --rejects-csv is only supported with --file");
+      process.exit(1);
+    }
+
+    if (file) {
+      try {
+        profile = profileFor(args, game);
+      } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+      }
+
+      csv = await openCsv(file, profile);
+      if (!reportHeaderCheck(file, profile, csv)) process.exit(1);
+      if (checkHeaders) {
+        console.log(`✅ ${file}: header row matches profile "${profile.name}"`);
+        return;
+      }
+    }
+  }
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    await ensureRunColumns(client);
+    await ensureRejectsTable(client);
+
+    if (args["list-runs"]) {
+      await listRuns(client, { game: game || null, limit: Number(args.limit || 20) });
+      return;
+    }
+    if (args["show-run"]) {
+      await showRun(client, String(args["show-run"]));
+      return;
+    }
+
+    const opts = { game, batchSize, force, maxRejectRate, rejectsCsv };
+
+    if (dir) {
+      await importDir(client, dir, args, opts);
+      return;
+    }
+
+    const res = await importFile(client, { ...opts, file, sourceDate, profile, csv });
+    if (res.duplicateOf) {
+      console.error(
+        `❌ ${file} (sha256 ${res.sha.slice(0, 12)}…) was already imported for ${game} ${sourceDate} ` +
+          `as run_id=${res.duplicateOf}. Pass --force to import it again.`
+      );
+      process.exitCode = 1;
+    }
+  } finally {
+    await client.end();
+  }
 })().catch((err) => {
   console.error("❌ Error:", err);
   process.exit(1);
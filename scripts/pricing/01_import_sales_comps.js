@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/01_import_sales_comps.js
+ *
+ * Import sold listings (marketplace exports, our own store orders) into
+ * market_sales_comps, the input of 10_rollup_market_values_daily.mjs.
+ *
+ * Input:
+ *   --file  CSV or JSON (a top-level array of objects); plain, .gz or .zip
+ *   Columns / keys are mapped with a profile from config/csv_profiles.json (--profile,
+ *   default "sales-comps-<source>" if defined, else "sales-comps"); JSON keys go through
+ *   the same header aliases.
+ *
+ * Behavior:
+ *   - grade: normalized to the comps vocabulary (scripts/lib/salesComps.js): "raw",
+ *     "PSA 10", "BGS 9.5", …; an empty grade cell takes a grade found in the title,
+ *     else "raw"; anything unrecognised is rejected (unknown_grade)
+ *   - card_key: taken as given ("<game>:<canonical id>") or built from game + card_id, with
+ *     game aliases mapped ("ygo" -> yugioh, "magic" -> mtg), and checked against market_items; no match is rejected (unresolved_card_key) so the row
+ *     can be fixed and re-imported
+ *   - Dedupe on (source, listing id), or on a hash of the sale (card, grade, price,
+ *     currency, sold_at, title) when the export has no listing id; repeats are skipped
+ *   - Non-USD prices (--currency, or a currency column) are converted with fx_rates
+ *     (01_import_fx_rates_csv.js), latest rate at most --fx-max-age days (default 7)
+ *     before the sale; the original price, currency and rate are kept. No rate: no_fx_rate
+ *   - Lots and bundles are rejected: a title like "lot of 5", "x4", "playset", "bundle"
+ *     (lot:title), or quantity > 1 when the price is the line total (lot:quantity).
+ *     Profiles whose price column is a unit price ("perUnit": true: sales-comps-ebay,
+ *     sales-comps-store) keep quantity > 1 rows as one comp at that unit price
+ *   - sold_at must be ISO 8601 ("2025-12-19", "2025-12-19T18:04:00Z"; no offset = UTC)
+ *     or RFC 2822 with a zone ("Fri, 19 Dec 2025 18:04:00 GMT"); "12/19/2025" and other
+ *     locale formats are rejected as bad_date, not guessed
+ *   - Other rejects: bad_price (not positive, or too large for numeric(12,2) before or
+ *     after conversion), bad_currency, bad_date, missing:<column> (JSON)
+ *   - Rejects go to market_sales_comps_rejects (source, file, line, reason, raw row) and
+ *     replace the rejects of the previous import of the same file (source + file name)
+ *   - One transaction per file
+ *
+ * Usage:
+ *   node scripts/pricing/01_import_sales_comps.js --source ebay --file ./drops/ebay_sold_2025-12.csv
+ *   node scripts/pricing/01_import_sales_comps.js --source store --file ./exports/orders.json
+ *   node scripts/pricing/01_import_sales_comps.js --source cardmarket --file ./cm.csv --currency EUR --profile sales-comps
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { Client } = require("pg");
+const {
+  normalizeHeader,
+  loadProfiles,
+  resolveProfile,
+  pickProfileName,
+  validateHeaders,
+  parseMoney,
+  DEFAULT_PROFILES_PATH,
+} = require("../lib/csvProfiles");
+const { readCsvRows } = require("../lib/csv");
+const { openInputStream } = require("../lib/compressedFiles");
+const { parseJsonArray } = require("../lib/jsonArrayStream");
+const { RAW_GRADE, normalizeGrade, findGrade, isLotTitle, cardKey } = require("../lib/salesComps");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+const CURRENCY = /^[A-Z]{3}$/;
+const BATCH_SIZE = 1000;
+// sold_price_usd / original_price are numeric(12,2): below 10^10 dollars.
+const MAX_PRICE_CENTS = 1e12;
+
+// Staged columns, in the order they are bound per row.
+const STAGE_COLUMNS = [
+  "line_no",
+  "listing_id",
+  "dedupe_key",
+  "title",
+  "card_key",
+  "game",
+  "card_id",
+  "grade",
+  "price_cents",
+  "currency",
+  "sold_at",
+  "url",
+  "raw",
+];
+
+async function ensureTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.market_sales_comps (
+      id bigserial PRIMARY KEY,
+      card_key text NOT NULL,
+      grade text NOT NULL,
+      sold_price_usd numeric(12,2) NOT NULL,
+      sold_at timestamptz NOT NULL
+    )
+  `);
+  await client.query(`
+    ALTER TABLE public.market_sales_comps
+      ADD COLUMN IF NOT EXISTS source text,
+      ADD COLUMN IF NOT EXISTS listing_id text,
+      ADD COLUMN IF NOT EXISTS dedupe_key text,
+      ADD COLUMN IF NOT EXISTS title text,
+      ADD COLUMN IF NOT EXISTS url text,
+      ADD COLUMN IF NOT EXISTS original_price numeric(12,2),
+      ADD COLUMN IF NOT EXISTS original_currency text,
+      ADD COLUMN IF NOT EXISTS fx_rate numeric(18,8),
+      ADD COLUMN IF NOT EXISTS imported_at timestamptz
+  `);
+  // Comps loaded before this importer have no dedupe_key and stay out of the key.
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS market_sales_comps_dedupe_uniq
+      ON public.market_sales_comps (source, dedupe_key)
+      WHERE dedupe_key IS NOT NULL
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS market_sales_comps_card_grade_sold_idx
+      ON public.market_sales_comps (card_key, grade, sold_at)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.market_sales_comps_rejects (
+      id bigserial PRIMARY KEY,
+      source text NOT NULL,
+      file_name text NOT NULL,
+      line_no int NOT NULL,
+      reason text NOT NULL,
+      detail text,
+      raw jsonb NOT NULL,
+      created_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS market_sales_comps_rejects_file_idx
+      ON public.market_sales_comps_rejects (source, file_name)
+  `);
+}
+
+async function insertBatch(client, table, columns, rows, casts = {}) {
+  if (!rows.length) return;
+  const params = [];
+  const values = rows.map((r) => {
+    const cells = columns.map((c, j) => {
+      params.push(r[j]);
+      return `$${params.length}${casts[c] || ""}`;
+    });
+    return `(${cells.join(", ")})`;
+  });
+  await client.query(`INSERT INTO ${table} (${columns.join(", ")}) VALUES ${values.join(",\n")}`, params);
+}
+
+/**
+ * Yield { lineNo, get(target), raw, missing[] } per input record.
+ * CSV headers are validated up front (errors abort); JSON records report missing
+ * required columns per record.
+ */
+async function* readRecords(file, profile) {
+  const isJson = /\.json(\.gz)?$/i.test(file) || /\.json\.zip$/i.test(file);
+
+  if (!isJson) {
+    const rowsIter = readCsvRows(file);
+    const first = await rowsIter.next();
+    if (first.done) throw new Error(`CSV has no data: ${file}`);
+    const headers = first.value.map(normalizeHeader);
+    const { index, errors, warnings } = validateHeaders(profile, first.value);
+    for (const w of warnings) console.log(`⚠️ ${file}: ${w}`);
+    if (errors.length) {
+      throw new Error(`${file}: header row does not match profile "${profile.name}": ${errors.join("; ")}`);
+    }
+
+    let lineNo = 1;
+    for await (const r of rowsIter) {
+      lineNo++;
+      if (!r || r.every((c) => !String(c).trim())) continue;
+      const raw = {};
+      headers.forEach((h, j) => {
+        raw[h] = r[j] ?? "";
+      });
+      yield {
+        lineNo,
+        get: (target) => (index[target] == null ? "" : String(r[index[target]] ?? "")),
+        raw,
+        missing: [],
+      };
+    }
+    return;
+  }
+
+  const aliases = Object.entries(profile.columns).map(([target, col]) => [
+    target,
+    col.headers.map(normalizeHeader),
+    !!col.required,
+  ]);
+  const stream = await openInputStream(file, { entryPattern: /\.json$/i });
+  stream.setEncoding("utf8");
+
+  let lineNo = 0; // record number for JSON
+  for await (const obj of parseJsonArray(stream)) {
+    lineNo++;
+    const byHeader = new Map(Object.entries(obj).map(([k, v]) => [normalizeHeader(k), v]));
+    const values = {};
+    const missing = [];
+    for (const [target, headers, required] of aliases) {
+      const h = headers.find((x) => byHeader.has(x) && byHeader.get(x) != null && byHeader.get(x) !== "");
+      if (h) values[target] = String(byHeader.get(h));
+      else if (required) missing.push(target);
+    }
+    yield { lineNo, get: (target) => values[target] ?? "", raw: obj, missing };
+  }
+}
+
+// ISO 8601 date / date-time (no offset = UTC), or RFC 2822 with an explicit zone.
+const ISO_DATE_TIME =
+  /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d{1,6})?)?)(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const RFC_2822 =
+  /^(?:[A-Za-z]{3},\s*)?\d{1,2}\s+[A-Za-z]{3}\s+\d{4}\s+\d{2}:\d{2}(?::\d{2})?\s+(?:GMT|UTC|UT|Z|[+-]\d{4})$/;
+
+/**
+ * sold_at cell -> ISO timestamp, or null. Anything else ("12/19/2025", "Dec 19") is
+ * rejected rather than guessed: day/month order and time zone would be ambiguous.
+ */
+function parseSoldAt(v) {
+  const s = String(v || "").trim();
+  if (!s) return null;
+  let d;
+  const iso = ISO_DATE_TIME.exec(s);
+  if (iso) {
+    const [, date, time = "00:00", zone = "Z"] = iso;
+    // Reject dates the Date constructor would roll over (2025-02-30 -> March 2).
+    const day = new Date(`${date}T00:00:00Z`);
+    if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== date) return null;
+    const offset = zone.toUpperCase() === "Z" ? "Z" : zone.replace(/^([+-]\d{2})(\d{2})$/, "$1:$2");
+    d = new Date(`${date}T${time}${offset}`);
+  } else if (RFC_2822.test(s)) {
+    d = new Date(s);
+  } else {
+    return null;
+  }
+  if (Number.isNaN(d.getTime())) return null;
+  // A sale can't be in the future (allow a day of clock / time-zone slack).
+  if (d.getTime() > Date.now() + 86400000) return null;
+  return d.toISOString();
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const file = args.file ? String(args.file) : "";
+  const source = String(args.source || "")
+    .trim()
+    .toLowerCase();
+  const defaultCurrency = String(args.currency || "USD").toUpperCase();
+  const fxMaxAge = Number(args["fx-max-age"] ?? 7);
+
+  if (!file || !source) {
+    console.error("❌ --file and --source are required");
+    process.exit(1);
+  }
+  if (!/^[a-z0-9_-]+$/.test(source)) {
+    console.error("❌ --source must be a short name like ebay, store, tcgplayer");
+    process.exit(1);
+  }
+  if (!CURRENCY.test(defaultCurrency)) {
+    console.error("❌ --currency must be a 3-letter currency code");
+    process.exit(1);
+  }
+  if (!Number.isInteger(fxMaxAge) || fxMaxAge < 1) {
+    console.error("❌ --fx-max-age must be a positive number of days");
+    process.exit(1);
+  }
+
+  const profiles = loadProfiles(args.profiles ? String(args.profiles) : DEFAULT_PROFILES_PATH);
+  const profile = resolveProfile(
+    profiles,
+    args.profile ? String(args.profile) : pickProfileName(profiles, "sales-comps", source)
+  );
+  if (!profile.columns.price || !profile.columns.sold_at) {
+    throw new Error(`CSV profile "${profile.name}" must map price and sold_at`);
+  }
+
+  const fileName = path.basename(file);
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  console.log(`📥 Importing ${source} sold listings from ${file} (profile ${profile.name})`);
+
+  let records = 0;
+  let skippedInFile = 0;
+  const reasonCounts = {};
+  let inserted = 0;
+  let duplicates = 0;
+
+  try {
+    await ensureTables(client);
+    await client.query("BEGIN");
+
+    const { rowCount: replacedRejects } = await client.query(
+      `DELETE FROM public.market_sales_comps_rejects WHERE source = $1 AND file_name = $2`,
+      [source, fileName]
+    );
+    if (replacedRejects) console.log(`↩️ Replacing ${replacedRejects} rejects from the previous import of ${fileName}`);
+
+    await client.query(`
+      CREATE TEMP TABLE sales_comps_stage (
+        line_no int NOT NULL,
+        listing_id text,
+        dedupe_key text NOT NULL,
+        title text,
+        card_key text,
+        game text,
+        card_id text,
+        grade text NOT NULL,
+        price_cents bigint NOT NULL,
+        currency text NOT NULL,
+        sold_at timestamptz NOT NULL,
+        url text,
+        raw jsonb NOT NULL,
+        fx_rate numeric(18,8),
+        rate_date date,
+        reason text
+      ) ON COMMIT DROP
+    `);
+
+    let batch = [];
+    let rejectBatch = [];
+    const seen = new Set();
+
+    const reject = (rec, reason, detail = null) => {
+      reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+      rejectBatch.push([source, fileName, rec.lineNo, reason, detail, JSON.stringify(rec.raw)]);
+    };
+
+    for await (const rec of readRecords(file, profile)) {
+      records++;
+      const get = (t) => rec.get(t).trim();
+
+      if (rec.missing.length) {
+        reject(rec, `missing:${rec.missing[0]}`, rec.missing.join(","));
+      } else {
+        const title = get("title") || null;
+        const quantity = get("quantity");
+        const priceCell = get("price");
+        const cents = parseMoney(priceCell, profile.columns.price.format || "decimal");
+        const currency = (get("currency") || defaultCurrency).toUpperCase();
+        const soldAt = parseSoldAt(get("sold_at"));
+        const gradeCell = get("grade");
+        const grade = gradeCell ? normalizeGrade(gradeCell) : findGrade(title) || RAW_GRADE;
+
+        if (quantity && Number(quantity) > 1 && !profile.columns.price.perUnit) reject(rec, "lot:quantity", quantity);
+        else if (isLotTitle(title)) reject(rec, "lot:title", title);
+        else if (cents == null || cents <= 0 || cents >= MAX_PRICE_CENTS) reject(rec, "bad_price", priceCell);
+        else if (!CURRENCY.test(currency)) reject(rec, "bad_currency", currency);
+        else if (!soldAt) reject(rec, "bad_date", get("sold_at"));
+        else if (!grade) reject(rec, "unknown_grade", gradeCell);
+        else {
+          const game = get("game").toLowerCase() || null;
+          const cardId = get("card_id") || null;
+          const keyCell = get("card_key");
+          const sep = keyCell.indexOf(":");
+          let key = null;
+          if (keyCell) key = sep > 0 ? cardKey(keyCell.slice(0, sep), keyCell.slice(sep + 1)) : keyCell;
+          else if (game && cardId) key = cardKey(game, cardId);
+          const listingId = get("listing_id") || null;
+          const dedupeKey = listingId
+            ? `id:${listingId}`
+            : "hash:" +
+              crypto
+                .createHash("sha256")
+                .update([key, grade, cents, currency, soldAt, title].join("|"))
+                .digest("hex");
+
+          if (seen.has(dedupeKey)) skippedInFile++;
+          else {
+            seen.add(dedupeKey);
+            batch.push([
+              rec.lineNo,
+              listingId,
+              dedupeKey,
+              title,
+              key,
+              game,
+              cardId,
+              grade,
+              cents,
+              currency,
+              soldAt,
+              get("url") || null,
+              JSON.stringify(rec.raw),
+            ]);
+          }
+        }
+      }
+
+      if (batch.length >= BATCH_SIZE) {
+        await insertBatch(client, "sales_comps_stage", STAGE_COLUMNS, batch, { raw: "::jsonb" });
+        batch = [];
+      }
+      if (rejectBatch.length >= BATCH_SIZE) {
+        await insertBatch(
+          client,
+          "public.market_sales_comps_rejects",
+          ["source", "file_name", "line_no", "reason", "detail", "raw"],
+          rejectBatch,
+          { raw: "::jsonb" }
+        );
+        rejectBatch = [];
+      }
+    }
+    await insertBatch(client, "sales_comps_stage", STAGE_COLUMNS, batch, { raw: "::jsonb" });
+
+    // card_key must name a market item: "<game>:<canonical_id>"
+    await client.query(`
+      UPDATE sales_comps_stage s
+      SET reason = 'unresolved_card_key'
+      WHERE s.card_key IS NULL
+         OR NOT EXISTS (
+           SELECT 1
+           FROM public.market_items mi
+           WHERE mi.game = split_part(s.card_key, ':', 1)
+             AND mi.canonical_id = substr(s.card_key, length(split_part(s.card_key, ':', 1)) + 2)
+         )
+    `);
+
+    await client.query(`UPDATE sales_comps_stage SET fx_rate = 1 WHERE currency = 'USD'`);
+    const { rows: reg } = await client.query(`SELECT to_regclass('public.fx_rates') IS NOT NULL AS ok`);
+    if (reg[0].ok) {
+      await client.query(
+        `
+        UPDATE sales_comps_stage s
+        SET (fx_rate, rate_date) = (
+          SELECT x.rate, x.rate_date
+          FROM (
+            SELECT f.rate_date, f.rate
+            FROM public.fx_rates f
+            WHERE f.base = s.currency
+              AND f.quote = 'USD'
+            UNION ALL
+            SELECT f.rate_date, ROUND(1 / f.rate, 8)
+            FROM public.fx_rates f
+            WHERE f.base = 'USD'
+              AND f.quote = s.currency
+          ) x
+          WHERE x.rate_date <= s.sold_at::date
+            AND x.rate_date > s.sold_at::date - $1::int
+          ORDER BY x.rate_date DESC
+          LIMIT 1
+        )
+        WHERE s.currency <> 'USD'
+          AND s.reason IS NULL
+        `,
+        [fxMaxAge]
+      );
+    }
+    await client.query(`
+      UPDATE sales_comps_stage
+      SET reason = 'no_fx_rate'
+      WHERE fx_rate IS NULL
+        AND reason IS NULL
+    `);
+    // Conversion can still push a price past numeric(12,2).
+    await client.query(
+      `
+      UPDATE sales_comps_stage
+      SET reason = 'bad_price'
+      WHERE reason IS NULL
+        AND price_cents * fx_rate >= $1
+      `,
+      [MAX_PRICE_CENTS]
+    );
+
+    const ins = await client.query(
+      `
+      INSERT INTO public.market_sales_comps (
+        card_key, grade, sold_price_usd, sold_at,
+        source, listing_id, dedupe_key, title, url,
+        original_price, original_currency, fx_rate, imported_at
+      )
+      SELECT
+        card_key,
+        grade,
+        ROUND(price_cents * fx_rate / 100.0, 2),
+        sold_at,
+        $1,
+        listing_id,
+        dedupe_key,
+        title,
+        url,
+        ROUND(price_cents / 100.0, 2),
+        currency,
+        fx_rate,
+        now()
+      FROM sales_comps_stage
+      WHERE reason IS NULL
+      ON CONFLICT (source, dedupe_key) WHERE dedupe_key IS NOT NULL
+      DO NOTHING
+      `,
+      [source]
+    );
+    inserted = ins.rowCount;
+
+    const { rows: staged } = await client.query(`
+      SELECT reason, COUNT(*)::int AS n
+      FROM sales_comps_stage
+      GROUP BY reason
+    `);
+    for (const { reason, n } of staged) {
+      if (reason == null) duplicates = n - inserted;
+      else reasonCounts[reason] = (reasonCounts[reason] || 0) + n;
+    }
+
+    await client.query(
+      `
+      INSERT INTO public.market_sales_comps_rejects (source, file_name, line_no, reason, detail, raw)
+      SELECT $1, $2, line_no, reason,
+        CASE reason
+          WHEN 'unresolved_card_key' THEN COALESCE(card_key, NULLIF(concat_ws(':', game, card_id), ''))
+          WHEN 'no_fx_rate' THEN currency || ' ' || sold_at::date
+        END,
+        raw
+      FROM sales_comps_stage
+      WHERE reason IS NOT NULL
+      `,
+      [source, fileName]
+    );
+    await insertBatch(
+      client,
+      "public.market_sales_comps_rejects",
+      ["source", "file_name", "line_no", "reason", "detail", "raw"],
+      rejectBatch,
+      { raw: "::jsonb" }
+    );
+
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    await client.end();
+  }
+
+  const rejected = Object.values(reasonCounts).reduce((a, b) => a + b, 0);
+  console.log(
+    `✅ ${records} records: ${inserted} comps inserted, ${duplicates + skippedInFile} duplicates skipped, ` +
+      `${rejected} rejected (market_sales_comps_rejects)`
+  );
+  if (rejected) {
+    console.table(
+      Object.entries(reasonCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, n]) => ({ reason, rows: n }))
+    );
+  }
+})().catch((err) => {
+  console.error("❌ Error importing sales comps:", err?.stack || err?.message || err);
+  process.exit(1);
+});
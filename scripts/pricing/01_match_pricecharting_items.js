@@ -0,0 +1,493 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/01_match_pricecharting_items.js
+ *
+ * Link PriceCharting products to market_items (the crosswalk used by
+ * 02_normalize_pricecharting_prices.js).
+ *
+ * Candidates (what a PriceCharting product can match):
+ *   mtg     market_items ⋈ scryfall_cards_raw      (payload name / set_name / set / collector_number)
+ *   pokemon market_items ⋈ tcg_cards ⋈ tcg_sets    (name / set name / set id / number)
+ *   yugioh  market_items ⋈ ygo_cards ⋈ ygo_card_sets (name / set_name / set_code prefix + number)
+ *
+ * Behavior:
+ *   - Parses set name, card number, set code and variant out of product_name /
+ *     console_name and scores candidates (exact + fuzzy rules, see scripts/lib/pricechartingMatch.js)
+ *   - score >= --accept (default 0.9) and ahead of the runner-up by --margin (default 0.05)
+ *       -> pricecharting_item_map (method auto_exact / auto_fuzzy, confidence = score)
+ *   - score >= --review-min (default 0.5) -> pricecharting_match_review (status pending)
+ *   - anything lower is left unmatched
+ *   - Manual mappings are never overwritten; rejected review rows are skipped
+ *     unless --rematch is passed (which also re-scores existing auto matches; an auto
+ *     match that no longer reaches --accept is removed from the map and the product
+ *     goes to review, or stays unmatched, like any other)
+ *
+ * Review round-trip:
+ *   --export-review <file.csv>  writes pending rows with the top candidate and alternates.
+ *                               Fill in "decision" (approve|reject) and optionally
+ *                               "market_item_id" to approve a different item.
+ *   --import-review <file.csv>  applies the decisions (approved -> method 'manual', confidence 1)
+ *
+ * Usage:
+ *   node scripts/pricing/01_match_pricecharting_items.js --game pokemon
+ *   node scripts/pricing/01_match_pricecharting_items.js --game mtg --date 2025-12-19 --accept 0.95
+ *   node scripts/pricing/01_match_pricecharting_items.js --export-review ./review.csv [--game yugioh]
+ *   node scripts/pricing/01_match_pricecharting_items.js --import-review ./review.csv
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const fs = require("fs");
+const { Client } = require("pg");
+const { readCsvRows, csvCell } = require("../lib/csv");
+const {
+  ensureMatchTables,
+  parseProductName,
+  buildCandidateIndex,
+  rankCandidates,
+} = require("../lib/pricechartingMatch");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+const GAMES = ["pokemon", "yugioh", "mtg"];
+
+// One row per candidate print: market_item_id, name, set_name, set_code, number
+const CANDIDATE_SQL = {
+  mtg: `
+    SELECT
+      mi.id::text AS market_item_id,
+      scr.payload->>'name' AS name,
+      scr.payload->>'set_name' AS set_name,
+      scr.payload->>'set' AS set_code,
+      scr.payload->>'collector_number' AS number
+    FROM public.market_items mi
+    JOIN public.scryfall_cards_raw scr
+      ON scr.id::text = mi.canonical_id
+    WHERE mi.game = 'mtg'
+  `,
+  pokemon: `
+    SELECT
+      mi.id::text AS market_item_id,
+      tc.name,
+      ts.name AS set_name,
+      tc.set_id AS set_code,
+      tc.number
+    FROM public.market_items mi
+    JOIN public.tcg_cards tc
+      ON tc.id = mi.canonical_id
+    LEFT JOIN public.tcg_sets ts
+      ON ts.id = tc.set_id
+    WHERE mi.game = 'pokemon'
+  `,
+  yugioh: `
+    SELECT
+      mi.id::text AS market_item_id,
+      yc.name,
+      ys.set_name,
+      split_part(ys.set_code, '-', 1) AS set_code,
+      regexp_replace(split_part(ys.set_code, '-', 2), '^[A-Za-z]*', '') AS number
+    FROM public.market_items mi
+    JOIN public.ygo_cards yc
+      ON yc.card_id::text = mi.canonical_id
+    LEFT JOIN public.ygo_card_sets ys
+      ON ys.card_id = yc.card_id
+    WHERE mi.game = 'yugioh'
+  `,
+};
+
+async function insertMany(client, sqlPrefix, rows, sqlSuffix = "") {
+  const CHUNK = 1000;
+  let affected = 0;
+  for (let i = 0; i < rows.length; i += CHUNK) {
+    const chunk = rows.slice(i, i + CHUNK);
+    const n = chunk[0].length;
+    const valuesSql = chunk
+      .map((_r, ri) => `(${chunk[0].map((_c, ci) => `$${ri * n + ci + 1}`).join(",")})`)
+      .join(",\n");
+    const res = await client.query(`${sqlPrefix} VALUES ${valuesSql} ${sqlSuffix}`, chunk.flat());
+    affected += res.rowCount;
+  }
+  return affected;
+}
+
+async function matchGame(client, game, opts) {
+  const { rows: dateRows } = await client.query(
+    `SELECT COALESCE($2::date, MAX(source_date))::text AS d
+     FROM public.pricecharting_prices_raw
+     WHERE game = $1`,
+    [game, opts.date]
+  );
+  const sourceDate = dateRows[0].d;
+  if (!sourceDate) {
+    console.log(`(${game}) no PriceCharting rows; skipping`);
+    return;
+  }
+
+  const { rows: products } = await client.query(
+    `SELECT r.pricecharting_id, r.product_name, r.console_name
+     FROM public.pricecharting_prices_raw r
+     WHERE r.game = $1
+       AND r.source_date = $2::date
+       -- already a canonical PriceCharting item: nothing to match
+       AND NOT EXISTS (
+         SELECT 1 FROM public.market_items mi
+         WHERE mi.game = r.game
+           AND mi.canonical_source = 'pricecharting'
+           AND mi.canonical_id = r.pricecharting_id
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM public.pricecharting_item_map m
+         WHERE m.game = r.game
+           AND m.pricecharting_id = r.pricecharting_id
+           AND (m.method = 'manual' OR NOT $3::boolean)
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM public.pricecharting_match_review q
+         WHERE q.game = r.game
+           AND q.pricecharting_id = r.pricecharting_id
+           AND q.status <> 'pending'
+           AND NOT $3::boolean
+       )`,
+    [game, sourceDate, opts.rematch]
+  );
+
+  console.log(`(${game}) ${products.length} products to match from source_date ${sourceDate}`);
+  if (!products.length) return;
+
+  const { rows: candidates } = await client.query(CANDIDATE_SQL[game]);
+  const index = buildCandidateIndex(candidates);
+  console.log(`(${game}) ${candidates.length} candidate prints loaded`);
+
+  const accepted = [];
+  const review = [];
+  const unmatched = [];
+
+  for (const p of products) {
+    const parsed = parseProductName(game, p.product_name, p.console_name);
+    const ranked = rankCandidates(index, parsed, 5);
+    const top = ranked[0];
+    const runnerUp = ranked.find((c) => c.market_item_id !== top?.market_item_id);
+
+    if (top && top.score >= opts.accept && (!runnerUp || top.score - runnerUp.score >= opts.margin)) {
+      accepted.push([
+        game,
+        p.pricecharting_id,
+        top.market_item_id,
+        top.score,
+        top.exact ? "auto_exact" : "auto_fuzzy",
+        parsed.variant,
+        JSON.stringify(parsed),
+      ]);
+    } else if (top && top.score >= opts.reviewMin) {
+      review.push([
+        game,
+        p.pricecharting_id,
+        p.product_name,
+        p.console_name,
+        top.market_item_id,
+        top.score,
+        JSON.stringify(parsed),
+        JSON.stringify(
+          ranked.slice(0, 3).map((c) => ({
+            market_item_id: c.market_item_id,
+            name: c.name,
+            set_name: c.set_name,
+            set_code: c.set_code,
+            number: c.number,
+            score: c.score,
+          }))
+        ),
+      ]);
+    } else {
+      unmatched.push(p.pricecharting_id);
+    }
+  }
+
+  await client.query("BEGIN");
+  try {
+    const mapped = accepted.length
+      ? await insertMany(
+          client,
+          `INSERT INTO public.pricecharting_item_map
+             (game, pricecharting_id, market_item_id, confidence, method, variant, parsed)`,
+          accepted,
+          `ON CONFLICT (game, pricecharting_id) DO UPDATE SET
+             market_item_id = EXCLUDED.market_item_id,
+             confidence = EXCLUDED.confidence,
+             method = EXCLUDED.method,
+             variant = EXCLUDED.variant,
+             parsed = EXCLUDED.parsed,
+             matched_at = now()
+           WHERE public.pricecharting_item_map.method <> 'manual'`
+        )
+      : 0;
+
+    // --rematch: auto matches that fell below --accept are stale.
+    let demoted = 0;
+    if (opts.rematch && (review.length || unmatched.length)) {
+      const res = await client.query(
+        `DELETE FROM public.pricecharting_item_map
+         WHERE game = $1 AND method <> 'manual' AND pricecharting_id = ANY($2::text[])`,
+        [game, [...review.map((r) => r[1]), ...unmatched]]
+      );
+      demoted = res.rowCount;
+    }
+
+    // Accepted products no longer need review.
+    if (accepted.length) {
+      await client.query(
+        `DELETE FROM public.pricecharting_match_review
+         WHERE game = $1 AND status = 'pending' AND pricecharting_id = ANY($2::text[])`,
+        [game, accepted.map((a) => a[1])]
+      );
+    }
+
+    const queued = review.length
+      ? await insertMany(
+          client,
+          `INSERT INTO public.pricecharting_match_review
+             (game, pricecharting_id, product_name, console_name,
+              candidate_market_item_id, confidence, parsed, candidates)`,
+          review,
+          `ON CONFLICT (game, pricecharting_id) DO UPDATE SET
+             product_name = EXCLUDED.product_name,
+             console_name = EXCLUDED.console_name,
+             candidate_market_item_id = EXCLUDED.candidate_market_item_id,
+             confidence = EXCLUDED.confidence,
+             parsed = EXCLUDED.parsed,
+             candidates = EXCLUDED.candidates,
+             status = 'pending',
+             created_at = now(),
+             decided_at = NULL`
+        )
+      : 0;
+
+    await client.query("COMMIT");
+
+    console.log(
+      `✅ (${game}) mapped ${mapped}, queued for review ${queued}, unmatched ${unmatched.length}` +
+        (demoted ? `, stale auto matches removed ${demoted}` : "")
+    );
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
+
+async function exportReview(client, file, game) {
+  const params = [];
+  let where = "q.status = 'pending'";
+  if (game) {
+    params.push(game);
+    where += " AND q.game = $1";
+  }
+
+  const { rows } = await client.query(
+    `SELECT q.*
+     FROM public.pricecharting_match_review q
+     WHERE ${where}
+     ORDER BY q.game, q.confidence DESC, q.pricecharting_id`,
+    params
+  );
+
+  const header = [
+    "game",
+    "pricecharting_id",
+    "product_name",
+    "console_name",
+    "confidence",
+    "candidate_market_item_id",
+    "candidate_name",
+    "candidate_set",
+    "candidate_number",
+    "alternates",
+    "decision",
+    "market_item_id",
+  ];
+  const out = fs.createWriteStream(file, { encoding: "utf8" });
+  out.write(header.join(",") + "\n");
+  for (const r of rows) {
+    const [top, ...alts] = r.candidates || [];
+    out.write(
+      [
+        r.game,
+        r.pricecharting_id,
+        r.product_name,
+        r.console_name,
+        r.confidence,
+        r.candidate_market_item_id,
+        top?.name,
+        top?.set_name,
+        top?.number,
+        alts.map((a) => `${a.market_item_id}: ${a.name} (${a.set_name || "?"} #${a.number || "?"}) ${a.score}`).join(" | "),
+        "",
+        "",
+      ]
+        .map(csvCell)
+        .join(",") + "\n"
+    );
+  }
+  await new Promise((resolve) => out.end(resolve));
+  console.log(`✅ Exported ${rows.length} pending review rows to ${file}`);
+}
+
+async function importReview(client, file) {
+  const rowsIter = readCsvRows(file);
+  const first = await rowsIter.next();
+  if (first.done) throw new Error(`Review CSV has no data: ${file}`);
+
+  const col = {};
+  first.value.forEach((h, i) => (col[String(h).trim().toLowerCase()] = i));
+  for (const h of ["game", "pricecharting_id", "candidate_market_item_id", "decision", "market_item_id"]) {
+    if (col[h] == null) throw new Error(`Review CSV is missing column "${h}"`);
+  }
+
+  const approvals = [];
+  const rejections = [];
+  let lineNo = 1;
+  for await (const r of rowsIter) {
+    lineNo++;
+    const get = (h) => String(r[col[h]] ?? "").trim();
+    const decision = get("decision").toLowerCase();
+    if (!decision) continue;
+
+    const key = { game: get("game"), pricecharting_id: get("pricecharting_id") };
+    if (decision === "approve") {
+      const itemId = get("market_item_id") || get("candidate_market_item_id");
+      if (!itemId) throw new Error(`line ${lineNo}: approve without a market_item_id`);
+      approvals.push({ ...key, itemId, lineNo });
+    } else if (decision === "reject") {
+      rejections.push(key);
+    } else {
+      throw new Error(`line ${lineNo}: unknown decision "${decision}" (approve|reject)`);
+    }
+  }
+
+  if (approvals.length) {
+    const { rows } = await client.query(
+      `SELECT id::text AS id FROM public.market_items WHERE id::text = ANY($1::text[])`,
+      [[...new Set(approvals.map((a) => a.itemId))]]
+    );
+    const known = new Set(rows.map((r) => r.id));
+    const bad = approvals.filter((a) => !known.has(a.itemId));
+    if (bad.length) {
+      throw new Error(
+        `Unknown market_item_id on line(s) ${bad.map((b) => b.lineNo).join(", ")}; nothing was applied`
+      );
+    }
+  }
+
+  await client.query("BEGIN");
+  try {
+    for (const a of approvals) {
+      await client.query(
+        `INSERT INTO public.pricecharting_item_map
+           (game, pricecharting_id, market_item_id, confidence, method, variant, parsed)
+         SELECT $1, $2, mi.id, 1, 'manual', q.parsed->>'variant', q.parsed
+         FROM public.market_items mi
+         LEFT JOIN public.pricecharting_match_review q
+           ON q.game = $1 AND q.pricecharting_id = $2
+         WHERE mi.id::text = $3
+         ON CONFLICT (game, pricecharting_id) DO UPDATE SET
+           market_item_id = EXCLUDED.market_item_id,
+           confidence = 1,
+           method = 'manual',
+           matched_at = now()`,
+        [a.game, a.pricecharting_id, a.itemId]
+      );
+      await client.query(
+        `UPDATE public.pricecharting_match_review
+         SET status = 'approved', decided_at = now()
+         WHERE game = $1 AND pricecharting_id = $2`,
+        [a.game, a.pricecharting_id]
+      );
+    }
+    for (const r of rejections) {
+      await client.query(
+        `UPDATE public.pricecharting_match_review
+         SET status = 'rejected', decided_at = now()
+         WHERE game = $1 AND pricecharting_id = $2`,
+        [r.game, r.pricecharting_id]
+      );
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+
+  console.log(`✅ Applied ${approvals.length} approvals and ${rejections.length} rejections from ${file}`);
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const game = args.game ? String(args.game).toLowerCase() : null;
+
+  if (game && !GAMES.includes(game)) {
+    console.error("❌ --game must be pokemon|yugioh|mtg");
+    process.exit(1);
+  }
+
+  const opts = {
+    date: args.date ? String(args.date) : null,
+    accept: Number(args.accept ?? 0.9),
+    reviewMin: Number(args["review-min"] ?? 0.5),
+    margin: Number(args.margin ?? 0.05),
+    rematch: !!args.rematch,
+  };
+  for (const k of ["accept", "reviewMin", "margin"]) {
+    if (!Number.isFinite(opts[k]) || opts[k] < 0 || opts[k] > 1) {
+      console.error(`❌ --${k === "reviewMin" ? "review-min" : k} must be a number between 0 and 1`);
+      process.exit(1);
+    }
+  }
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  try {
+    await ensureMatchTables(client);
+
+    if (args["export-review"]) {
+      await exportReview(client, String(args["export-review"]), game);
+      return;
+    }
+    if (args["import-review"]) {
+      await importReview(client, String(args["import-review"]));
+      return;
+    }
+
+    console.log(`🔗 Matching PriceCharting products to market_items`);
+    for (const g of game ? [game] : GAMES) {
+      await matchGame(client, g, opts);
+    }
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error matching PriceCharting products:", err?.stack || err?.message || err);
+  process.exit(1);
+});
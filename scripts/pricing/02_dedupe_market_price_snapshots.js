@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/02_dedupe_market_price_snapshots.js
+ *
+ * Find and collapse duplicate market_price_snapshots rows, then add the unique key
+ * the 02_normalize_* writers upsert on.
+ *
+ * Key = (market_item_id, source, as_of_date, currency, price_type, condition)
+ *   condition is compared NULL-safely: the index is on COALESCE(condition, ''), and
+ *   empty-string conditions are rewritten to NULL first.
+ *
+ * Behavior:
+ *   - Reports duplicate groups and the extra rows they hold (largest groups first)
+ *   - Keeps one row per key: the most recently written one (updated_at, then created_at,
+ *     then id, when those columns exist; physical order last)
+ *   - Copies removed rows into market_price_snapshots_removed_dupes (removed_at) before deleting
+ *   - Creates the unique index market_price_snapshots_key_uniq
+ *   - Runs in one transaction holding a lock that blocks concurrent snapshot writers
+ *
+ * Usage:
+ *   node scripts/pricing/02_dedupe_market_price_snapshots.js --dry-run
+ *   node scripts/pricing/02_dedupe_market_price_snapshots.js
+ *   node scripts/pricing/02_dedupe_market_price_snapshots.js --top 50
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const { Client } = require("pg");
+const { CREATE_SNAPSHOT_KEY_SQL, SNAPSHOT_KEY_INDEX } = require("../lib/snapshotWriter");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+const KEY_SQL = `market_item_id, source, as_of_date, currency, price_type, COALESCE(condition, '')`;
+
+async function keepOrderSql(client) {
+  const { rows } = await client.query(
+    `
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'market_price_snapshots'
+      AND column_name IN ('updated_at', 'created_at', 'id')
+    `
+  );
+  const have = new Set(rows.map((r) => r.column_name));
+  const order = ["updated_at", "created_at", "id"]
+    .filter((c) => have.has(c))
+    .map((c) => `${c} DESC NULLS LAST`);
+  order.push("ctid DESC");
+  return order.join(", ");
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const dryRun = !!args["dry-run"];
+  const top = Number(args.top || 20);
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  console.log(`🔎 Checking market_price_snapshots for duplicate keys${dryRun ? " (dry run)" : ""}`);
+
+  try {
+    await client.query("BEGIN");
+
+    // Blocks INSERT/UPDATE/DELETE from the normalizers while we repair; reads keep working.
+    await client.query("LOCK TABLE public.market_price_snapshots IN SHARE ROW EXCLUSIVE MODE");
+
+    const blank = await client.query(
+      `UPDATE public.market_price_snapshots SET condition = NULL WHERE condition = ''`
+    );
+    if (blank.rowCount) console.log(`✅ Rewrote ${blank.rowCount} empty-string conditions to NULL`);
+
+    const { rows: summary } = await client.query(`
+      SELECT COUNT(*)::int AS groups, COALESCE(SUM(n - 1), 0)::int AS extra
+      FROM (
+        SELECT COUNT(*) AS n
+        FROM public.market_price_snapshots
+        GROUP BY ${KEY_SQL}
+        HAVING COUNT(*) > 1
+      ) d
+    `);
+    console.log(`📊 ${summary[0].groups} duplicate keys holding ${summary[0].extra} extra rows`);
+
+    if (summary[0].groups) {
+      const { rows: worst } = await client.query(
+        `
+        SELECT
+          market_item_id::text AS market_item_id,
+          source,
+          as_of_date::text AS as_of_date,
+          currency,
+          price_type,
+          condition,
+          COUNT(*)::int AS rows,
+          COUNT(DISTINCT value_cents)::int AS distinct_values,
+          MIN(value_cents)::int AS min_cents,
+          MAX(value_cents)::int AS max_cents
+        FROM public.market_price_snapshots
+        GROUP BY market_item_id, source, as_of_date, currency, price_type, condition
+        HAVING COUNT(*) > 1
+        ORDER BY COUNT(*) DESC, as_of_date DESC
+        LIMIT $1
+        `,
+        [top]
+      );
+      console.table(worst);
+    }
+
+    if (dryRun) {
+      await client.query("ROLLBACK");
+      console.log("✅ Dry run: nothing changed");
+      return;
+    }
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS public.market_price_snapshots_removed_dupes
+        (LIKE public.market_price_snapshots)
+    `);
+    await client.query(`
+      ALTER TABLE public.market_price_snapshots_removed_dupes
+        ADD COLUMN IF NOT EXISTS removed_at timestamptz NOT NULL DEFAULT now()
+    `);
+
+    const order = await keepOrderSql(client);
+    const ranked = `
+      SELECT ctid AS row_ctid
+      FROM (
+        SELECT ctid, ROW_NUMBER() OVER (PARTITION BY ${KEY_SQL} ORDER BY ${order}) AS rn
+        FROM public.market_price_snapshots
+      ) x
+      WHERE rn > 1
+    `;
+
+    await client.query(`
+      CREATE TEMP TABLE snapshot_dupes ON COMMIT DROP AS
+      ${ranked}
+    `);
+
+    await client.query(`
+      INSERT INTO public.market_price_snapshots_removed_dupes
+      SELECT s.*
+      FROM public.market_price_snapshots s
+      WHERE s.ctid IN (SELECT row_ctid FROM snapshot_dupes)
+    `);
+
+    const del = await client.query(`
+      DELETE FROM public.market_price_snapshots s
+      WHERE s.ctid IN (SELECT row_ctid FROM snapshot_dupes)
+    `);
+    console.log(`✅ Removed ${del.rowCount} duplicate rows (copied to market_price_snapshots_removed_dupes)`);
+
+    await client.query(CREATE_SNAPSHOT_KEY_SQL);
+    console.log(`✅ Unique index ${SNAPSHOT_KEY_INDEX} in place`);
+
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error deduping market_price_snapshots:", err?.stack || err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/02_migrate_scryfall_tix_currency.js
+ *
+ * One-off: move MTGO tix snapshots from the old (USD, tix) shape to the TIX pseudo-currency
+ * that the "scryfall" mapping writes now (TIX, market).
+ *
+ * Behavior:
+ *   - (source, USD, tix) snapshots that already have a (TIX, market) twin for the same
+ *     item / date / condition are deleted; the rest are rewritten to (TIX, market)
+ *   - The USD "tix" series they produced in market_price_daily is deleted (only once
+ *     03_build_market_price_daily.js has added the variant column)
+ *   - Runs in one transaction holding a lock that blocks concurrent snapshot writers;
+ *     rerunning it after it has done its work changes nothing
+ *   - Afterwards rebuild TIX with 03_build_market_price_daily.js --currency TIX --all-dates
+ *
+ * Usage:
+ *   node scripts/pricing/02_migrate_scryfall_tix_currency.js --dry-run
+ *   node scripts/pricing/02_migrate_scryfall_tix_currency.js
+ *   node scripts/pricing/02_migrate_scryfall_tix_currency.js --source scryfall
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const { Client } = require("pg");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+// $1 source
+const TWIN_EXISTS_SQL = `
+  EXISTS (
+    SELECT 1
+    FROM public.market_price_snapshots n
+    WHERE n.market_item_id = o.market_item_id
+      AND n.source = o.source
+      AND n.as_of_date = o.as_of_date
+      AND n.currency = 'TIX'
+      AND n.price_type = 'market'
+      AND n.condition IS NOT DISTINCT FROM o.condition
+  )`;
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const dryRun = !!args["dry-run"];
+  const source = String(args.source || "scryfall");
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  console.log(`🔎 Looking for legacy (${source}, USD, tix) snapshots${dryRun ? " (dry run)" : ""}`);
+
+  try {
+    await client.query("BEGIN");
+    await client.query("LOCK TABLE public.market_price_snapshots IN SHARE ROW EXCLUSIVE MODE");
+
+    const { rows: summary } = await client.query(
+      `
+      SELECT
+        COUNT(*)::int AS legacy,
+        COUNT(*) FILTER (WHERE ${TWIN_EXISTS_SQL})::int AS twins
+      FROM public.market_price_snapshots o
+      WHERE o.source = $1
+        AND o.currency = 'USD'
+        AND o.price_type = 'tix'
+      `,
+      [source]
+    );
+    const { legacy, twins } = summary[0];
+    console.log(`📊 ${legacy} legacy rows: ${twins} already have a TIX twin, ${legacy - twins} to move`);
+
+    // Daily series (and so a "tix" variant) only exist once 03 has added the variant column.
+    const { rows: variantCol } = await client.query(`
+      SELECT 1
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+        AND table_name = 'market_price_daily'
+        AND column_name = 'variant'
+    `);
+
+    if (dryRun) {
+      if (variantCol.length) {
+        const { rows } = await client.query(
+          `SELECT COUNT(*)::int AS n FROM public.market_price_daily WHERE currency = 'USD' AND variant = 'tix'`
+        );
+        console.log(`📊 ${rows[0].n} USD tix daily rows would be removed`);
+      }
+      await client.query("ROLLBACK");
+      console.log("✅ Dry run: nothing changed");
+      return;
+    }
+
+    const del = await client.query(
+      `
+      DELETE FROM public.market_price_snapshots o
+      WHERE o.source = $1
+        AND o.currency = 'USD'
+        AND o.price_type = 'tix'
+        AND ${TWIN_EXISTS_SQL}
+      `,
+      [source]
+    );
+    const moved = await client.query(
+      `
+      UPDATE public.market_price_snapshots
+      SET currency = 'TIX', price_type = 'market'
+      WHERE source = $1
+        AND currency = 'USD'
+        AND price_type = 'tix'
+      `,
+      [source]
+    );
+
+    let dropped = { rowCount: 0 };
+    if (variantCol.length) {
+      dropped = await client.query(`DELETE FROM public.market_price_daily WHERE currency = 'USD' AND variant = 'tix'`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log(`✅ Moved ${moved.rowCount} snapshots to TIX, removed ${del.rowCount} duplicates`);
+    console.log(`✅ Removed ${dropped.rowCount} USD tix daily rows`);
+    if (moved.rowCount || dropped.rowCount) {
+      console.log("↩️ Rebuild TIX with 03_build_market_price_daily.js --currency TIX --all-dates");
+    }
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error migrating tix snapshots:", err?.stack || err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/02_normalize_pokemon_prices.js
+ *
+ * Normalize Pokémon vendor prices into market_price_snapshots.
+ *
+ * Source:
+ *   public.tcg_card_prices_tcgplayer (one row per card_id; variant columns are text)
+ *   public.tcg_card_prices_ebay      (optional; game='pokemon', median of sold listings)
+ *
+ * Join:
+ *   market_items(game='pokemon', canonical_id = card_id)
+ *
+ * Behavior:
+ *   - Writes snapshots for as_of_date (default: today UTC), all USD, condition NULL:
+ *       tcgplayer.market_price           -> (tcgplayer, market)
+ *       tcgplayer.mid_price              -> (tcgplayer, mid)
+ *       tcgplayer.normal                 -> (tcgplayer, normal)
+ *       tcgplayer.holofoil               -> (tcgplayer, holofoil)
+ *       tcgplayer.reverse_holofoil       -> (tcgplayer, reverse_holofoil)
+ *       tcgplayer.first_edition_normal   -> (tcgplayer, first_edition_normal)
+ *       tcgplayer.first_edition_holofoil -> (tcgplayer, first_edition_holofoil)
+ *       ebay.median                      -> (ebay, median)
+ *   - Idempotent per day: ON CONFLICT upsert on the snapshot key, DELETE the day's
+ *     tcgplayer/ebay Pokémon rows that no longer have a price
+ *
+ * Usage:
+ *   node scripts/pricing/02_normalize_pokemon_prices.js
+ *   node scripts/pricing/02_normalize_pokemon_prices.js --date 2025-12-19
+ *   node scripts/pricing/02_normalize_pokemon_prices.js --no-ebay
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const { Client } = require("pg");
+const { centsSql, writeSnapshotRows, ensureSnapshotKey } = require("../lib/snapshotWriter");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+function todayUtcYmd() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// [column, price_type]
+const TCGPLAYER_COLUMNS = [
+  ["market_price", "market"],
+  ["mid_price", "mid"],
+  ["normal", "normal"],
+  ["holofoil", "holofoil"],
+  ["reverse_holofoil", "reverse_holofoil"],
+  ["first_edition_normal", "first_edition_normal"],
+  ["first_edition_holofoil", "first_edition_holofoil"],
+];
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const asOfDate = String(args.date || "").trim() || todayUtcYmd();
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  console.log(`📥 Normalizing Pokémon prices into market_price_snapshots for ${asOfDate}`);
+
+  const { rows: reg } = await client.query(
+    `SELECT to_regclass('public.tcg_card_prices_ebay') IS NOT NULL AS has_ebay`
+  );
+  const withEbay = reg[0].has_ebay && !args["no-ebay"];
+  if (!reg[0].has_ebay) console.log("⚠️ tcg_card_prices_ebay not found; eBay snapshots skipped");
+
+  const tcgplayerValues = TCGPLAYER_COLUMNS.map(
+    ([col, priceType]) => `
+          (
+            '${priceType}'::text,
+            ${centsSql(`p.${col}`)},
+            '${col}'::text
+          )`
+  ).join(",");
+
+  const ebayRows = withEbay
+    ? `
+      UNION ALL
+      SELECT
+        mi.id AS market_item_id,
+        'ebay'::text AS source,
+        $1::date AS as_of_date,
+        'USD'::text AS currency,
+        'median'::text AS price_type,
+        NULL::text AS condition,
+        ${centsSql("e.median")} AS value_cents,
+        jsonb_build_object('card_id', e.card_id, 'key', 'median', 'value', e.median) AS raw
+      FROM public.tcg_card_prices_ebay e
+      JOIN public.market_items mi
+        ON mi.game = 'pokemon'
+       AND mi.canonical_id = e.card_id::text
+      WHERE e.game = 'pokemon'`
+    : "";
+
+  const rowsCte = `
+    WITH all_rows AS (
+      SELECT
+        mi.id AS market_item_id,
+        'tcgplayer'::text AS source,
+        $1::date AS as_of_date,
+        'USD'::text AS currency,
+        v.price_type,
+        NULL::text AS condition,
+        v.value_cents,
+        jsonb_build_object('card_id', p.card_id, 'key', v.key, 'value', to_jsonb(p) -> v.key) AS raw
+      FROM public.tcg_card_prices_tcgplayer p
+      JOIN public.market_items mi
+        ON mi.game = 'pokemon'
+       AND mi.canonical_id = p.card_id::text
+      CROSS JOIN LATERAL (
+        VALUES ${tcgplayerValues}
+      ) AS v(price_type, value_cents, key)
+      ${ebayRows}
+    ),
+    rows AS (
+      SELECT *
+      FROM all_rows
+      WHERE value_cents IS NOT NULL
+        AND value_cents > 0
+    )
+  `;
+
+  const sources = withEbay ? `('tcgplayer', 'ebay')` : `('tcgplayer')`;
+  const staleScope = `t.source IN ${sources}
+        AND t.market_item_id IN (SELECT mi.id FROM public.market_items mi WHERE mi.game = 'pokemon')`;
+
+  await ensureSnapshotKey(client);
+
+  await client.query("BEGIN");
+  try {
+    const res = await writeSnapshotRows(client, rowsCte, [asOfDate], { staleScope });
+    await client.query("COMMIT");
+
+    console.log(`✅ Updated ${res.updated} existing snapshot rows`);
+    console.log(`✅ Inserted ${res.inserted} new snapshot rows`);
+    console.log(`✅ Deleted ${res.deleted} stale snapshot rows`);
+    console.log(`✅ Total affected ${res.updated + res.inserted + res.deleted}`);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error normalizing Pokémon prices:", err?.stack || err?.message || err);
+  process.exit(1);
+});
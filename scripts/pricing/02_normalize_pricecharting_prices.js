@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/02_normalize_pricecharting_prices.js
+ *
+ * Normalize PriceCharting prices into market_price_snapshots.
+ *
+ * Source:
+ *   public.pricecharting_prices_raw (one row per game/pricecharting_id/source_date)
+ *
+ * Join (first hit wins):
+ *   pricecharting_item_map(game, pricecharting_id) -> market_item_id
+ *     (built by 01_match_pricecharting_items.js)
+ *   market_items(game = raw.game, canonical_source='pricecharting', canonical_id = raw.pricecharting_id)
+ *
+ * Behavior:
+ *   - Writes snapshots with as_of_date = source_date (default: today UTC), all USD:
+ *       loose_price_cents       -> (loose,       condition NULL)
+ *       cib_price_cents         -> (cib,         condition NULL)
+ *       new_price_cents         -> (new,         condition NULL)
+ *       graded_price_cents      -> (graded,      condition NULL)
+ *       box_only_price_cents    -> (box_only,    condition NULL)
+ *       manual_only_price_cents -> (manual_only, condition NULL)
+ *       psa_10_price_cents      -> (graded,      condition 'PSA 10')
+ *       bgs_10_price_cents      -> (graded,      condition 'BGS 10')
+ *       cgc_10_price_cents      -> (graded,      condition 'CGC 10')
+ *   - Idempotent per source_date (shared write path, scripts/lib/snapshotWriter.js):
+ *       1) ON CONFLICT upsert on the snapshot key
+ *       2) DELETE pricecharting rows for the day that no longer have a price
+ *
+ * Usage:
+ *   node scripts/pricing/02_normalize_pricecharting_prices.js
+ *   node scripts/pricing/02_normalize_pricecharting_prices.js --date 2025-12-19
+ *   node scripts/pricing/02_normalize_pricecharting_prices.js --date 2025-12-19 --game pokemon
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const { Client } = require("pg");
+const { ensureMatchTables } = require("../lib/pricechartingMatch");
+const { writeSnapshotRows, ensureSnapshotKey } = require("../lib/snapshotWriter");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+function todayUtcYmd() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const asOfDate = String(args.date || "").trim() || todayUtcYmd();
+  const game = args.game ? String(args.game).toLowerCase() : null;
+
+  if (game && !["pokemon", "yugioh", "mtg"].includes(game)) {
+    console.error("❌ --game must be pokemon|yugioh|mtg");
+    process.exit(1);
+  }
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  console.log(
+    `📥 Normalizing PriceCharting prices into market_price_snapshots for ${asOfDate}` +
+      (game ? ` (${game})` : "")
+  );
+
+  // Key = (market_item_id, source, as_of_date, currency, price_type, condition)
+  const params = [asOfDate];
+  const srcWhere = [`r.source_date = $1::date`];
+  const itemWhere = [];
+  if (game) {
+    params.push(game);
+    srcWhere.push(`r.game = $2`);
+    itemWhere.push(`mi.game = $2`);
+  }
+
+  const buildRowsCte = `
+    WITH src AS (
+      SELECT
+        COALESCE(m.market_item_id, mi.id) AS market_item_id,
+        r.*
+      FROM public.pricecharting_prices_raw r
+      LEFT JOIN public.pricecharting_item_map m
+        ON m.game = r.game
+       AND m.pricecharting_id = r.pricecharting_id
+      LEFT JOIN public.market_items mi
+        ON mi.game = r.game
+       AND mi.canonical_source = 'pricecharting'
+       AND mi.canonical_id = r.pricecharting_id
+      WHERE ${srcWhere.join("\n        AND ")}
+        AND COALESCE(m.market_item_id, mi.id) IS NOT NULL
+    ),
+    rows AS (
+      SELECT
+        market_item_id,
+        'pricecharting'::text AS source,
+        $1::date AS as_of_date,
+        'USD'::text AS currency,
+        v.price_type,
+        v.condition,
+        v.value_cents,
+        jsonb_build_object(
+          'pricecharting_id', src.pricecharting_id,
+          'product_name', src.product_name,
+          'console_name', src.console_name,
+          'key', v.key
+        ) AS raw
+      FROM src
+      CROSS JOIN LATERAL (
+        VALUES
+          ('loose_price'::text,  'loose'::text,       NULL::text, src.loose_price_cents),
+          ('cib_price',          'cib',               NULL,       src.cib_price_cents),
+          ('new_price',          'new',               NULL,       src.new_price_cents),
+          ('graded_price',       'graded',            NULL,       src.graded_price_cents),
+          ('box_only_price',     'box_only',          NULL,       src.box_only_price_cents),
+          ('manual_only_price',  'manual_only',       NULL,       src.manual_only_price_cents),
+          ('psa_10_price',       'graded',            'PSA 10',   src.psa_10_price_cents),
+          ('bgs_10_price',       'graded',            'BGS 10',   src.bgs_10_price_cents),
+          ('cgc_10_price',       'graded',            'CGC 10',   src.cgc_10_price_cents)
+      ) AS v(key, price_type, condition, value_cents)
+      WHERE v.value_cents IS NOT NULL
+        AND v.value_cents > 0
+    )
+  `;
+
+  // Re-imported file / NULLed column: the day's pricecharting rows (for --game's items) not in rows go away.
+  const staleScope =
+    `t.source = 'pricecharting'` +
+    (game ? `\n        AND t.market_item_id IN (SELECT mi.id FROM public.market_items mi WHERE ${itemWhere.join(" AND ")})` : "");
+
+  const unmatchedSql = `
+    SELECT COUNT(*)::int AS n
+    FROM public.pricecharting_prices_raw r
+    WHERE ${srcWhere.join("\n      AND ")}
+      AND NOT EXISTS (
+        SELECT 1
+        FROM public.market_items mi
+        WHERE mi.game = r.game
+          AND mi.canonical_source = 'pricecharting'
+          AND mi.canonical_id = r.pricecharting_id
+      )
+      AND NOT EXISTS (
+        SELECT 1
+        FROM public.pricecharting_item_map m
+        WHERE m.game = r.game
+          AND m.pricecharting_id = r.pricecharting_id
+      )
+  `;
+
+  await ensureMatchTables(client);
+  await ensureSnapshotKey(client);
+
+  await client.query("BEGIN");
+  try {
+    const res = await writeSnapshotRows(client, buildRowsCte, params, { staleScope });
+    await client.query("COMMIT");
+
+    console.log(`✅ Updated ${res.updated} existing snapshot rows`);
+    console.log(`✅ Inserted ${res.inserted} new snapshot rows`);
+    console.log(`✅ Deleted ${res.deleted} stale snapshot rows`);
+    console.log(`✅ Total affected ${res.updated + res.inserted + res.deleted}`);
+
+    const { rows } = await client.query(unmatchedSql, params);
+    if (rows[0].n) {
+      console.log(`⚠️ ${rows[0].n} PriceCharting products for ${asOfDate} have no market_items match (see 01_match_pricecharting_items.js)`);
+    }
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error normalizing PriceCharting prices:", err?.stack || err?.message || err);
+  process.exit(1);
+});
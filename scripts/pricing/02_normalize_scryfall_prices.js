@@ -6,31 +6,38 @@
  * Normalize Scryfall MTG prices into market_price_snapshots.
  *
  * Source:
- *   public.scryfall_cards_raw.payload->'prices'
+ *   public.scryfall_card_prices_history.prices for as_of_date, when that date was
+ *   imported (00_import_scryfall_bulk.js); otherwise public.scryfall_cards_raw.payload->'prices'
  *
  * Join:
  *   market_items(game='mtg', canonical_source='scryfall', canonical_id = scryfall_cards_raw.id::text)
  *
  * Behavior:
- *   - Writes snapshots for as_of_date (default: today UTC) for:
+ *   - Writes snapshots for as_of_date (default: today UTC) per the "scryfall" mapping in
+ *     config/snapshot_mappings.json (see scripts/lib/snapshotMappings.js):
  *       usd -> (USD, market)
  *       usd_foil -> (USD, foil)
  *       usd_etched -> (USD, etched)
  *       eur -> (EUR, market)
- *       tix -> (USD, tix)  ✅ treat tix as a USD-like snapshot but tagged by price_type
- *   - Idempotent even WITHOUT a unique index:
- *       1) UPDATE existing rows for the day/source/key
- *       2) INSERT missing rows
+ *       tix -> (TIX, market)  MTGO tix are their own pseudo-currency
+ *   - Idempotent: single ON CONFLICT upsert on the snapshot key (scripts/lib/snapshotWriter.js)
+ *   - Rows from before TIX existed, (scryfall, USD, tix), are moved to (TIX, market) once by
+ *     02_migrate_scryfall_tix_currency.js
+ *   - --dry-run prints the rows each mapping entry would produce and writes nothing
  *
  * Usage:
  *   node scripts/pricing/02_normalize_scryfall_prices.js
  *   node scripts/pricing/02_normalize_scryfall_prices.js --date 2025-12-19
+ *   node scripts/pricing/02_normalize_scryfall_prices.js --dry-run
+ *   node scripts/pricing/02_normalize_scryfall_prices.js --mappings ./config/snapshot_mappings.json --mapping scryfall
  *
  * Env:
  *   DATABASE_URL=postgres://...
  */
 
 const { Client } = require("pg");
+const { loadMappings, resolveMapping, mappingRowsSql, DEFAULT_MAPPINGS_PATH } = require("../lib/snapshotMappings");
+const { writeSnapshotRows, ensureSnapshotKey } = require("../lib/snapshotWriter");
 
 function parseArgs(argv) {
   const args = { _: [] };
@@ -62,145 +69,124 @@ function todayUtcYmd() {
 (async function main() {
   const args = parseArgs(process.argv);
   const asOfDate = String(args.date || "").trim() || todayUtcYmd();
+  const dryRun = !!args["dry-run"];
+
+  const mapping = resolveMapping(
+    loadMappings(args.mappings ? String(args.mappings) : DEFAULT_MAPPINGS_PATH),
+    args.mapping ? String(args.mapping) : "scryfall"
+  );
 
   const client = new Client({ connectionString: DATABASE_URL });
   await client.connect();
 
-  console.log(`📥 Normalizing Scryfall MTG prices into market_price_snapshots for ${asOfDate}`);
+  console.log(
+    `📥 Normalizing Scryfall MTG prices into market_price_snapshots for ${asOfDate}` +
+      (dryRun ? " (dry run)" : "")
+  );
 
-  // Build a set of normalized rows via SQL (fast), then:
-  // 1) UPDATE existing matching keys
-  // 2) INSERT missing keys
+  // Prefer the price history kept by 00_import_scryfall_bulk.js so past dates can be re-run.
+  const { rows: histRows } = await client.query(
+    `SELECT to_regclass('public.scryfall_card_prices_history') IS NOT NULL AS has_table`
+  );
+  let fromHistory = false;
+  if (histRows[0].has_table) {
+    const { rows } = await client.query(
+      `SELECT EXISTS (SELECT 1 FROM public.scryfall_card_prices_history WHERE price_date = $1::date) AS ok`,
+      [asOfDate]
+    );
+    fromHistory = rows[0].ok;
+  }
+  if (fromHistory) {
+    console.log(`📦 Using scryfall_card_prices_history for ${asOfDate}`);
+  } else if (asOfDate !== todayUtcYmd()) {
+    console.log(`⚠️ No Scryfall price history for ${asOfDate}; using the latest imported payload prices`);
+  }
+
+  // Build a set of normalized rows via SQL (fast), then upsert them on the snapshot key.
   //
   // Key = (market_item_id, source, as_of_date, currency, price_type, condition)
-  // condition is NULL here.
+  // Both src variants expose the card's prices as a payload shaped like the Scryfall card
+  // object, so mapping paths ("prices.usd") resolve the same way.
 
-  const buildRowsCte = `
+  const srcCte = fromHistory
+    ? `
+    WITH src AS (
+      SELECT
+        mi.id AS market_item_id,
+        jsonb_build_object('prices', h.prices) AS payload
+      FROM public.market_items mi
+      JOIN public.scryfall_card_prices_history h
+        ON h.scryfall_id::text = mi.canonical_id
+       AND h.price_date = $1::date
+      WHERE mi.game = 'mtg'
+        AND mi.canonical_source = 'scryfall'
+    ),`
+    : `
     WITH src AS (
       SELECT
         mi.id AS market_item_id,
-        scr.payload->'prices' AS prices
+        scr.payload
       FROM public.market_items mi
       JOIN public.scryfall_cards_raw scr
         ON scr.id::text = mi.canonical_id
       WHERE mi.game = 'mtg'
         AND mi.canonical_source = 'scryfall'
         AND scr.payload ? 'prices'
-    ),
+    ),`;
+
+  const mapped = mappingRowsSql(mapping, "src.payload");
+
+  const buildRowsCte = `
+    ${srcCte}
     rows AS (
       SELECT
         market_item_id,
-        'scryfall'::text AS source,
-        $1::date AS as_of_date,
-        v.currency,
-        v.price_type,
-        NULL::text AS condition,
-        v.value_cents,
-        v.raw
+        $1::date AS as_of_date,${mapped.select}
       FROM src
-      CROSS JOIN LATERAL (
-        VALUES
-          -- usd
-          (
-            'USD'::text,
-            'market'::text,
-            CASE
-              WHEN NULLIF(regexp_replace((prices->>'usd')::text, '[^0-9.\\-]', '', 'g'), '') IS NULL THEN NULL
-              ELSE (ROUND((NULLIF(regexp_replace((prices->>'usd')::text, '[^0-9.\\-]', '', 'g'), '')::numeric) * 100))::int
-            END,
-            jsonb_build_object('prices', prices, 'key', 'usd')
-          ),
-          -- usd_foil
-          (
-            'USD'::text,
-            'foil'::text,
-            CASE
-              WHEN NULLIF(regexp_replace((prices->>'usd_foil')::text, '[^0-9.\\-]', '', 'g'), '') IS NULL THEN NULL
-              ELSE (ROUND((NULLIF(regexp_replace((prices->>'usd_foil')::text, '[^0-9.\\-]', '', 'g'), '')::numeric) * 100))::int
-            END,
-            jsonb_build_object('prices', prices, 'key', 'usd_foil')
-          ),
-          -- usd_etched
-          (
-            'USD'::text,
-            'etched'::text,
-            CASE
-              WHEN NULLIF(regexp_replace((prices->>'usd_etched')::text, '[^0-9.\\-]', '', 'g'), '') IS NULL THEN NULL
-              ELSE (ROUND((NULLIF(regexp_replace((prices->>'usd_etched')::text, '[^0-9.\\-]', '', 'g'), '')::numeric) * 100))::int
-            END,
-            jsonb_build_object('prices', prices, 'key', 'usd_etched')
-          ),
-          -- eur
-          (
-            'EUR'::text,
-            'market'::text,
-            CASE
-              WHEN NULLIF(regexp_replace((prices->>'eur')::text, '[^0-9.\\-]', '', 'g'), '') IS NULL THEN NULL
-              ELSE (ROUND((NULLIF(regexp_replace((prices->>'eur')::text, '[^0-9.\\-]', '', 'g'), '')::numeric) * 100))::int
-            END,
-            jsonb_build_object('prices', prices, 'key', 'eur')
-          ),
-          -- tix (store as USD currency but tagged price_type='tix')
-          (
-            'USD'::text,
-            'tix'::text,
-            CASE
-              WHEN NULLIF(regexp_replace((prices->>'tix')::text, '[^0-9.\\-]', '', 'g'), '') IS NULL THEN NULL
-              ELSE (ROUND((NULLIF(regexp_replace((prices->>'tix')::text, '[^0-9.\\-]', '', 'g'), '')::numeric) * 100))::int
-            END,
-            jsonb_build_object('prices', prices, 'key', 'tix')
-          )
-      ) AS v(currency, price_type, value_cents, raw)
+      ${mapped.lateral}
       WHERE v.value_cents IS NOT NULL
         AND v.value_cents > 0
     )
   `;
 
-  // 1) UPDATE existing rows for that key/day
-  const updateSql = `
-    ${buildRowsCte}
-    UPDATE public.market_price_snapshots t
-    SET
-      value_cents = r.value_cents,
-      raw = r.raw
-    FROM rows r
-    WHERE t.market_item_id = r.market_item_id
-      AND t.source = r.source
-      AND t.as_of_date = r.as_of_date
-      AND t.currency = r.currency
-      AND t.price_type = r.price_type
-      AND t.condition IS NOT DISTINCT FROM r.condition
-  `;
+  if (dryRun) {
+    try {
+      const { rows } = await client.query(
+        `
+        ${buildRowsCte}
+        SELECT key, COUNT(*)::int AS n
+        FROM rows
+        GROUP BY key
+        `,
+        [asOfDate]
+      );
+      const counts = new Map(rows.map((r) => [r.key, r.n]));
+      console.table(
+        mapping.prices.map((e) => ({
+          key: e.key,
+          currency: e.currency,
+          price_type: e.price_type,
+          condition: e.condition,
+          rows: counts.get(e.key) || 0,
+        }))
+      );
+      console.log(`✅ Dry run: ${rows.reduce((n, r) => n + r.n, 0)} snapshot rows would be written`);
+    } finally {
+      await client.end();
+    }
+    return;
+  }
 
-  // 2) INSERT missing rows
-  const insertSql = `
-    ${buildRowsCte}
-    INSERT INTO public.market_price_snapshots
-      (market_item_id, source, as_of_date, currency, price_type, condition, value_cents, raw)
-    SELECT
-      r.market_item_id, r.source, r.as_of_date, r.currency, r.price_type, r.condition, r.value_cents, r.raw
-    FROM rows r
-    WHERE NOT EXISTS (
-      SELECT 1
-      FROM public.market_price_snapshots t
-      WHERE t.market_item_id = r.market_item_id
-        AND t.source = r.source
-        AND t.as_of_date = r.as_of_date
-        AND t.currency = r.currency
-        AND t.price_type = r.price_type
-        AND t.condition IS NOT DISTINCT FROM r.condition
-    )
-  `;
+  await ensureSnapshotKey(client);
 
   await client.query("BEGIN");
   try {
-    const upd = await client.query(updateSql, [asOfDate]);
-    const ins = await client.query(insertSql, [asOfDate]);
+    const res = await writeSnapshotRows(client, buildRowsCte, [asOfDate]);
     await client.query("COMMIT");
 
-    console.log(`✅ Updated ${upd.rowCount} existing snapshot rows`);
-    console.log(`✅ Inserted ${ins.rowCount} new snapshot rows`);
-    console.log(`✅ Total affected ${upd.rowCount + ins.rowCount}`);
+    console.log(`✅ Updated ${res.updated} existing snapshot rows`);
+    console.log(`✅ Inserted ${res.inserted} new snapshot rows`);
+    console.log(`✅ Total affected ${res.updated + res.inserted}`);
   } catch (e) {
     await client.query("ROLLBACK");
     throw e;
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/02_normalize_ygo_prices.js
+ *
+ * Normalize Yu-Gi-Oh! vendor prices into market_price_snapshots.
+ *
+ * Source:
+ *   public.ygo_card_prices (one row per card_id, one column per vendor)
+ *
+ * Join:
+ *   market_items(game='yugioh', canonical_id = card_id)
+ *
+ * Behavior:
+ *   - Writes snapshots for as_of_date (default: today UTC), price_type 'market', condition NULL:
+ *       tcgplayer_price    -> (tcgplayer,    USD)
+ *       cardmarket_price   -> (cardmarket,   EUR)
+ *       amazon_price       -> (amazon,       USD)
+ *       coolstuffinc_price -> (coolstuffinc, USD)
+ *       ebay_price         -> (ebay,         USD)
+ *   - Idempotent per day: ON CONFLICT upsert on the snapshot key, DELETE the day's
+ *     vendor rows for Yu-Gi-Oh! items that no longer have a price
+ *
+ * Usage:
+ *   node scripts/pricing/02_normalize_ygo_prices.js
+ *   node scripts/pricing/02_normalize_ygo_prices.js --date 2025-12-19
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const { Client } = require("pg");
+const { centsSql, writeSnapshotRows, ensureSnapshotKey } = require("../lib/snapshotWriter");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+function todayUtcYmd() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// [column, source, currency] — YGOPRODeck reports cardmarket in EUR, the rest in USD
+const VENDOR_COLUMNS = [
+  ["tcgplayer_price", "tcgplayer", "USD"],
+  ["cardmarket_price", "cardmarket", "EUR"],
+  ["amazon_price", "amazon", "USD"],
+  ["coolstuffinc_price", "coolstuffinc", "USD"],
+  ["ebay_price", "ebay", "USD"],
+];
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const asOfDate = String(args.date || "").trim() || todayUtcYmd();
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  console.log(`📥 Normalizing Yu-Gi-Oh! prices into market_price_snapshots for ${asOfDate}`);
+
+  const vendorValues = VENDOR_COLUMNS.map(
+    ([col, source, currency]) => `
+          (
+            '${source}'::text,
+            '${currency}'::text,
+            ${centsSql(`p.${col}`)},
+            '${col}'::text
+          )`
+  ).join(",");
+
+  const rowsCte = `
+    WITH rows AS (
+      SELECT
+        mi.id AS market_item_id,
+        v.source,
+        $1::date AS as_of_date,
+        v.currency,
+        'market'::text AS price_type,
+        NULL::text AS condition,
+        v.value_cents,
+        jsonb_build_object('card_id', p.card_id, 'key', v.key, 'value', to_jsonb(p) -> v.key) AS raw
+      FROM public.ygo_card_prices p
+      JOIN public.market_items mi
+        ON mi.game = 'yugioh'
+       AND mi.canonical_id = p.card_id::text
+      CROSS JOIN LATERAL (
+        VALUES ${vendorValues}
+      ) AS v(source, currency, value_cents, key)
+      WHERE v.value_cents IS NOT NULL
+        AND v.value_cents > 0
+    )
+  `;
+
+  const sources = VENDOR_COLUMNS.map(([, source]) => `'${source}'`).join(", ");
+  const staleScope = `t.source IN (${sources})
+        AND t.market_item_id IN (SELECT mi.id FROM public.market_items mi WHERE mi.game = 'yugioh')`;
+
+  await ensureSnapshotKey(client);
+
+  await client.query("BEGIN");
+  try {
+    const res = await writeSnapshotRows(client, rowsCte, [asOfDate], { staleScope });
+    await client.query("COMMIT");
+
+    console.log(`✅ Updated ${res.updated} existing snapshot rows`);
+    console.log(`✅ Inserted ${res.inserted} new snapshot rows`);
+    console.log(`✅ Deleted ${res.deleted} stale snapshot rows`);
+    console.log(`✅ Total affected ${res.updated + res.inserted + res.deleted}`);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error normalizing Yu-Gi-Oh! prices:", err?.stack || err?.message || err);
+  process.exit(1);
+});
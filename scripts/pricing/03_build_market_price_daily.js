@@ -6,8 +6,55 @@
  * Build market_price_daily from market_price_snapshots.
  *
  * Rules:
- * - For each (market_item_id, as_of_date, currency) pick the "best" snapshot ON THAT SAME DATE.
- * - UPSERT into market_price_daily.
+ * - One row per series per day: (market_item_id, as_of_date, currency, variant, condition),
+ *   from snapshots ON THAT SAME DATE. variant comes from the snapshot price_type via the
+ *   "variants" map in config/price_priorities.json (foil, etched, graded, …; anything else
+ *   is the "default" series); condition is the snapshot condition (PSA 10, …).
+ * - Exactly one row per (market_item_id, as_of_date, currency) has is_default = true: the
+ *   default/no-condition series when the item has one that day, else its best-ranked series.
+ * - Each item uses the priority profile its game / product type maps to
+ *   (config/price_priorities.json, see scripts/lib/pricePriorities.js).
+ * - --method priority (default): take the "best" snapshot = source priority, then
+ *   price_type priority, then higher value. confidence 70.
+ * - --method consensus: take each source's best price_type, drop outliers outside a
+ *   MAD or IQR band (only with >= minSources sources), then a weighted median of the rest
+ *   (weights per source). confidence starts at 40/55/70/85 for 1/2/3/4+ agreeing sources,
+ *   is scaled down by the kept values' spread (up to -50%) and loses 5 per rejected outlier
+ *   (floor 10). sources_used lists every source with its weight and outlier flag.
+ * - UPSERT into market_price_daily; priority_profile records which profile picked the row.
+ *   Series-days with a held (pending or rejected) anomaly in market_price_anomalies
+ *   (04_check_price_anomalies.js) keep its previous value while the build still produces
+ *   the flagged value.
+ *   Built (non carried) rows of the rebuilt days that the build no longer produces (their
+ *   snapshots are gone) are deleted.
+ *   --shadow writes to market_price_daily_shadow (keyed by method too) instead, so both
+ *   methods can be kept side by side and compared; a comparison against
+ *   market_price_daily is printed after a shadow run.
+ * - --carry-forward N: for each day in range, items without a row get their last real
+ *   (non carried) price from the previous N days, method 'carry_forward', confidence =
+ *   source confidence * decay^age (--carry-decay, default 0.9, floor 5). Carried rows never
+ *   replace real rows, and real rows replace carried ones on the next build.
+ *   Carrying is per series; a carried row is the day's default only when the item has no
+ *   real row that day.
+ *   Items whose last real price is older than N days at the end of the range are written
+ *   to market_price_stale_items (and removed once they get a price again).
+ * - --fx [EUR,GBP]: snapshots in other currencies (all, or the listed ones) are converted
+ *   into --currency with fx_rates (01_import_fx_rates_csv.js), using the latest rate on or
+ *   before the snapshot date and at most --fx-max-age days old (default 7). Converted prices
+ *   rank after every native price of the series, get confidence 60 with --method priority
+ *   and their weight times consensus.fxWeight with --method consensus; their sources_used
+ *   entry carries fx { from_currency, from_value_cents, rate, rate_date }.
+ *   MTGO tix are their own pseudo-currency (TIX) and are only converted if rates are loaded.
+ * - Range builds (--all-dates) run in windows of --window-days snapshot days (default 1),
+ *   each in its own transaction, with one progress line per window. --concurrency N builds
+ *   N windows at once on the pool (windows never share a day). Carry-forward runs after
+ *   the build, in calendar-day windows. Finished windows are checkpointed in
+ *   market_price_daily_build_checkpoints, so rerunning the same command resumes where it
+ *   stopped; --restart redoes every window. Checkpoints are cleared when a run completes.
+ *   A run is identified by every option that changes what gets written (currency, method
+ *   and its outlier settings, range, windows, carry-forward, --fx list and max age, and the
+ *   priorities file contents), so a different command never resumes another's windows.
+ *   With --fx the range covers days that only have snapshots in a convertible currency.
  *
  * Usage:
  *   node scripts/pricing/03_build_market_price_daily.js
@@ -16,13 +63,41 @@
  *   node scripts/pricing/03_build_market_price_daily.js --all-dates
  *   node scripts/pricing/03_build_market_price_daily.js --since 2025-12-01
  *   node scripts/pricing/03_build_market_price_daily.js --since 2025-12-01 --until 2025-12-31
+ *   node scripts/pricing/03_build_market_price_daily.js --priorities ./config/price_priorities.json
+ *   node scripts/pricing/03_build_market_price_daily.js --method consensus --shadow
+ *   node scripts/pricing/03_build_market_price_daily.js --method consensus --outlier iqr --outlier-k 1.5 --min-sources 4
+ *   node scripts/pricing/03_build_market_price_daily.js --carry-forward 7
+ *   node scripts/pricing/03_build_market_price_daily.js --all-dates --since 2025-12-01 --carry-forward 14 --carry-decay 0.85
+ *   node scripts/pricing/03_build_market_price_daily.js --all-dates --window-days 7 --concurrency 4
+ *   node scripts/pricing/03_build_market_price_daily.js --currency USD --fx EUR --fx-max-age 3
+ *   node scripts/pricing/03_build_market_price_daily.js --currency TIX
+ *   node scripts/pricing/03_build_market_price_daily.js --all-dates --since 2025-01-01 --restart
  *
  * Env:
  *   DATABASE_URL=postgres://...
  */
 
+const crypto = require("crypto");
 const pg = require("pg");
 const { Pool } = pg;
+const {
+  DEFAULT_PRIORITIES_PATH,
+  DEFAULT_PROFILE,
+  DEFAULT_VARIANT,
+  loadPriorities,
+  resolvePriorities,
+  resolveConsensus,
+} = require("../lib/pricePriorities");
+
+const METHODS = {
+  priority: "priority_best_of_day",
+  consensus: "consensus_weighted_median",
+};
+const CARRY_FORWARD_METHOD = "carry_forward";
+
+// Unique keys; ON CONFLICT must repeat the index expression.
+const DAILY_KEY = `market_item_id, as_of_date, currency, variant, (COALESCE(condition, ''))`;
+const SHADOW_KEY = `${DAILY_KEY}, method`;
 
 function parseArgs(argv) {
   const args = { _: [] };
@@ -51,60 +126,186 @@ if (!DATABASE_URL) {
   process.exit(1);
 }
 
-(async function main() {
-  const args = parseArgs(process.argv);
+async function ensureDailyColumns(client) {
+  await client.query(`
+    ALTER TABLE public.market_price_daily
+      ADD COLUMN IF NOT EXISTS priority_profile text,
+      ADD COLUMN IF NOT EXISTS variant text NOT NULL DEFAULT '${DEFAULT_VARIANT}',
+      ADD COLUMN IF NOT EXISTS condition text,
+      ADD COLUMN IF NOT EXISTS is_default boolean NOT NULL DEFAULT true
+  `);
 
-  const currency = String(args.currency || "USD").toUpperCase();
-  const today = ymdUtcToday();
+  // Rows from before series existed are all default/no-condition, so they fit the new key.
+  // The old one-row-per-item-day key has to go, or a second series would collide with it.
+  await client.query("BEGIN");
+  try {
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS market_price_daily_series_key_uniq
+        ON public.market_price_daily (${DAILY_KEY})
+    `);
+    const { rows } = await client.query(`
+      SELECT
+        i.indexrelid::regclass::text AS index_name,
+        c.conname
+      FROM pg_index i
+      LEFT JOIN pg_constraint c
+        ON c.conindid = i.indexrelid
+       AND c.conrelid = i.indrelid
+      WHERE i.indrelid = 'public.market_price_daily'::regclass
+        AND i.indisunique
+        AND i.indexprs IS NULL
+        AND (
+          SELECT array_agg(a.attname::text ORDER BY a.attname)
+          FROM unnest(i.indkey) AS k(attnum)
+          JOIN pg_attribute a
+            ON a.attrelid = i.indrelid
+           AND a.attnum = k.attnum
+        ) = ARRAY['as_of_date', 'currency', 'market_item_id']
+    `);
+    for (const r of rows) {
+      if (r.conname) {
+        await client.query(`ALTER TABLE public.market_price_daily DROP CONSTRAINT "${r.conname.replace(/"/g, '""')}"`);
+      } else {
+        await client.query(`DROP INDEX ${r.index_name}`);
+      }
+      console.log(`⚠️ Replaced market_price_daily key ${r.conname || r.index_name} with the per-series key`);
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
 
-  const allDates = !!args["all-dates"];
-  const asOfDate = String(args.date || today);
-  const since = args.since ? String(args.since) : null;
-  const until = args.until ? String(args.until) : null;
+async function ensureShadowTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.market_price_daily_shadow
+      (LIKE public.market_price_daily INCLUDING DEFAULTS)
+  `);
+  await client.query(`
+    ALTER TABLE public.market_price_daily_shadow
+      ADD COLUMN IF NOT EXISTS priority_profile text,
+      ADD COLUMN IF NOT EXISTS variant text NOT NULL DEFAULT '${DEFAULT_VARIANT}',
+      ADD COLUMN IF NOT EXISTS condition text,
+      ADD COLUMN IF NOT EXISTS is_default boolean NOT NULL DEFAULT true
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS market_price_daily_shadow_series_key_uniq
+      ON public.market_price_daily_shadow (${SHADOW_KEY})
+  `);
+}
 
-  const pool = new Pool({
-    connectionString: DATABASE_URL,
-    max: 5,
-  });
+// productType rules need the configured market_items column; without it they are dropped.
+async function productTypeExpr(client, priorities) {
+  const col = priorities.productTypeColumn;
+  if (!priorities.rules.some((r) => r.product_type)) return "NULL::text";
+  if (!col || !/^[a-z_][a-z0-9_]*$/i.test(col)) {
+    console.log("⚠️ productType priority rules ignored: productTypeColumn is not set");
+    return "NULL::text";
+  }
+  const { rows } = await client.query(
+    `
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'market_items'
+      AND column_name = $1
+    `,
+    [col]
+  );
+  if (!rows.length) {
+    console.log(`⚠️ productType priority rules ignored: market_items.${col} does not exist`);
+    return "NULL::text";
+  }
+  return `mi.${col}::text`;
+}
 
-  const rangeDesc = allDates
-    ? since && until
-      ? `for ALL dates ${since} → ${until}`
-      : since
-        ? `for ALL dates since ${since}`
-        : until
-          ? `for ALL dates up to ${until}`
-          : "for ALL dates in snapshots"
-    : `for ${asOfDate}`;
+const SNAPSHOT_COLUMNS = `s0.market_item_id, s0.source, s0.as_of_date, s0.currency, s0.price_type, s0.condition, s0.value_cents, s0.raw`;
 
-  console.log(`📊 Building market_price_daily (${currency}) ${rangeDesc}`);
-
-  // Build WHERE clause in a way that keeps indexes useful.
-  // (Avoids "($bool OR ...)" patterns that force less optimal plans.)
-  const whereParts = [`s.currency = $1`];
-  const params = [currency];
-  let p = 2;
-
-  if (!allDates) {
-    whereParts.push(`s.as_of_date = $${p++}::date`);
-    params.push(asOfDate);
-  } else {
-    if (since) {
-      whereParts.push(`s.as_of_date >= $${p++}::date`);
-      params.push(since);
-    }
-    if (until) {
-      whereParts.push(`s.as_of_date <= $${p++}::date`);
-      params.push(until);
-    }
+/**
+ * Snapshot rows the builder reads, with fx (jsonb, NULL for native rows) and fx_rank.
+ * With fx, snapshots in other currencies are added converted into the target currency ($1)
+ * at the latest rate on or before their date, at most $maxAgeParam days old; rates are
+ * used in either direction (1 / rate when only target -> other is loaded).
+ * fromParam: text[] of currencies to convert, NULL for any.
+ */
+function snapshotsSql(fx) {
+  if (!fx) {
+    return `(
+    SELECT ${SNAPSHOT_COLUMNS}, NULL::jsonb AS fx, 0 AS fx_rank
+    FROM public.market_price_snapshots s0
+  )`;
   }
+  return `(
+    SELECT ${SNAPSHOT_COLUMNS}, NULL::jsonb AS fx, 0 AS fx_rank
+    FROM public.market_price_snapshots s0
+    UNION ALL
+    SELECT
+      s0.market_item_id,
+      s0.source,
+      s0.as_of_date,
+      $1::text AS currency,
+      s0.price_type,
+      s0.condition,
+      ROUND(s0.value_cents * r.rate)::int AS value_cents,
+      s0.raw,
+      jsonb_build_object(
+        'from_currency', s0.currency,
+        'from_value_cents', s0.value_cents,
+        'rate', r.rate,
+        'rate_date', r.rate_date
+      ) AS fx,
+      1 AS fx_rank
+    FROM public.market_price_snapshots s0
+    CROSS JOIN LATERAL (
+      SELECT x.rate_date, x.rate
+      FROM (
+        SELECT f.rate_date, f.rate
+        FROM public.fx_rates f
+        WHERE f.base = s0.currency
+          AND f.quote = $1
+        UNION ALL
+        SELECT f.rate_date, ROUND(1 / f.rate, 8)
+        FROM public.fx_rates f
+        WHERE f.base = $1
+          AND f.quote = s0.currency
+      ) x
+      WHERE x.rate_date <= s0.as_of_date
+        AND x.rate_date > s0.as_of_date - $${fx.maxAgeParam}::int
+      ORDER BY x.rate_date DESC
+      LIMIT 1
+    ) r
+    WHERE s0.currency <> $1
+      AND ($${fx.fromParam}::text[] IS NULL OR s0.currency = ANY($${fx.fromParam}::text[]))
+  )`;
+}
 
-  const whereSql = whereParts.join("\n    AND ");
-
-  // NOTE: ranking is PER DAY (partition includes as_of_date).
-  // We keep your priority ordering and tie-break on higher value.
-  const sql = `
-WITH candidates AS (
+/**
+ * CTEs shared by both methods: the item's priority profile, the snapshot's series
+ * (variant, cond_key = COALESCE(condition, '')) and every snapshot of the range ranked
+ * within its series-day (rn) and within its series-day-source (src_rn). Converted (fx)
+ * rows rank after native ones.
+ */
+function candidatesSql({ whereSql, productType, rulesParam, sourceRanksParam, priceTypeRanksParam, variantsParam, fx }) {
+  return `
+rules AS (
+  SELECT *
+  FROM jsonb_to_recordset($${rulesParam}::jsonb)
+    AS x(profile text, game text, product_type text, specificity int, ord int)
+),
+source_ranks AS (
+  SELECT *
+  FROM jsonb_to_recordset($${sourceRanksParam}::jsonb) AS x(profile text, source text, rank int)
+),
+price_type_ranks AS (
+  SELECT *
+  FROM jsonb_to_recordset($${priceTypeRanksParam}::jsonb) AS x(profile text, price_type text, rank int)
+),
+variant_map AS (
+  SELECT *
+  FROM jsonb_to_recordset($${variantsParam}::jsonb) AS x(price_type text, variant text)
+),
+candidates AS (
   SELECT
     s.market_item_id,
     s.currency,
@@ -114,93 +315,939 @@ WITH candidates AS (
     s.price_type,
     s.condition,
     s.raw,
+    s.fx,
+    prof.profile,
+    COALESCE(vm.variant, '${DEFAULT_VARIANT}') AS variant,
+    COALESCE(s.condition, '') AS cond_key,
+    COALESCE(sr.rank, 999) AS src_rank,
+    COALESCE(pr.rank, 999) AS pt_rank,
+    ROW_NUMBER() OVER (
+      PARTITION BY s.market_item_id, s.currency, s.as_of_date, COALESCE(vm.variant, '${DEFAULT_VARIANT}'), COALESCE(s.condition, '')
+      ORDER BY
+        s.fx_rank ASC,
+        COALESCE(sr.rank, 999) ASC,
+        COALESCE(pr.rank, 999) ASC,
+        s.value_cents DESC
+    ) AS rn,
     ROW_NUMBER() OVER (
-      PARTITION BY s.market_item_id, s.currency, s.as_of_date
+      PARTITION BY s.market_item_id, s.currency, s.as_of_date, COALESCE(vm.variant, '${DEFAULT_VARIANT}'), COALESCE(s.condition, ''), s.source
       ORDER BY
-        CASE s.source
-          WHEN 'tcgplayer' THEN 10
-          WHEN 'scryfall' THEN 20
-          WHEN 'cardmarket' THEN 30
-          WHEN 'pricecharting' THEN 40
-          WHEN 'ebay' THEN 50
-          WHEN 'amazon' THEN 60
-          ELSE 99
-        END ASC,
-        CASE s.price_type
-          WHEN 'market' THEN 10
-          WHEN 'trend' THEN 12
-          WHEN 'mid' THEN 14
-          WHEN 'avg_7d' THEN 16
-          WHEN 'avg_30d' THEN 18
-          WHEN 'low' THEN 22
-          WHEN 'high' THEN 24
-          WHEN 'loose' THEN 30
-          WHEN 'cib' THEN 32
-          WHEN 'new' THEN 34
-          WHEN 'graded' THEN 36
-          WHEN 'foil' THEN 60
-          WHEN 'etched' THEN 62
-          WHEN 'tix' THEN 80
-          ELSE 90
-        END ASC,
+        s.fx_rank ASC,
+        COALESCE(pr.rank, 999) ASC,
         s.value_cents DESC
-    ) AS rn
-  FROM public.market_price_snapshots s
+    ) AS src_rn
+  FROM ${snapshotsSql(fx)} s
+  LEFT JOIN public.market_items mi
+    ON mi.id = s.market_item_id
+  CROSS JOIN LATERAL (
+    SELECT COALESCE(
+      (
+        SELECT r.profile
+        FROM rules r
+        WHERE (r.game IS NULL OR r.game = mi.game)
+          AND (r.product_type IS NULL OR r.product_type = ${productType})
+        ORDER BY r.specificity DESC, r.ord ASC
+        LIMIT 1
+      ),
+      '${DEFAULT_PROFILE}'
+    ) AS profile
+  ) prof
+  LEFT JOIN source_ranks sr
+    ON sr.profile = prof.profile
+   AND sr.source = s.source
+  LEFT JOIN price_type_ranks pr
+    ON pr.profile = prof.profile
+   AND pr.price_type = s.price_type
+  LEFT JOIN variant_map vm
+    ON vm.price_type = s.price_type
   WHERE
     ${whereSql}
-),
+)`;
+}
+
+// sources_used entry suffix: the conversion behind a converted (fx) candidate.
+const FX_SOURCE_SQL = `CASE WHEN fx IS NULL THEN '{}'::jsonb ELSE jsonb_build_object('fx', fx) END`;
+// Priority-method confidence of a converted price (native prices get 70).
+const FX_CONFIDENCE = 60;
+
+// Picks the item-day's default series among rows of "series_rows" (needs variant, cond_key,
+// src_rank, pt_rank, value_cents).
+const IS_DEFAULT_SQL = `ROW_NUMBER() OVER (
+      PARTITION BY market_item_id, as_of_date, currency
+      ORDER BY
+        (variant = '${DEFAULT_VARIANT}' AND cond_key = '') DESC,
+        src_rank ASC,
+        pt_rank ASC,
+        value_cents DESC
+    ) = 1`;
+
+function priorityBestSql() {
+  return `
 best AS (
   SELECT
     market_item_id,
     as_of_date,
     currency,
+    variant,
+    NULLIF(cond_key, '') AS condition,
+    ${IS_DEFAULT_SQL} AS is_default,
     value_cents,
-    70::int AS confidence,
+    (CASE WHEN fx IS NULL THEN 70 ELSE ${FX_CONFIDENCE} END)::int AS confidence,
     jsonb_build_array(
       jsonb_build_object(
         'source', source,
         'price_type', price_type,
         'condition', condition,
         'value_cents', value_cents
-      )
+      ) || ${FX_SOURCE_SQL}
     ) AS sources_used,
-    'priority_best_of_day'::text AS method
+    '${METHODS.priority}'::text AS method,
+    profile AS priority_profile
   FROM candidates
   WHERE rn = 1
-)
-INSERT INTO public.market_price_daily (
+)`;
+}
+
+function consensusBestSql(consensus, weightsParam) {
+  const { outlier, k, minSources, defaultWeight, fxWeight } = consensus;
+
+  // 1.4826 scales MAD to a standard deviation for normally distributed values. The band is
+  // never narrower than 5% of the median, so a few identical quotes don't turn a 1¢
+  // difference into an outlier.
+  const outlierSql =
+    outlier === "mad"
+      ? `ABS(p.value_cents - st.med) > GREATEST(${k} * 1.4826 * md.mad, 0.05 * st.med)`
+      : outlier === "iqr"
+        ? `(p.value_cents < st.q1 - ${k} * (st.q3 - st.q1) OR p.value_cents > st.q3 + ${k} * (st.q3 - st.q1))`
+        : "false";
+
+  return `
+weights AS (
+  SELECT *
+  FROM jsonb_to_recordset($${weightsParam}::jsonb) AS x(source text, weight numeric)
+),
+per_source AS (
+  SELECT
+    c.*,
+    (COALESCE(w.weight, ${defaultWeight}) * CASE WHEN c.fx IS NULL THEN 1 ELSE ${fxWeight} END)::numeric AS weight
+  FROM candidates c
+  LEFT JOIN weights w
+    ON w.source = c.source
+  WHERE c.src_rn = 1
+),
+stats AS (
+  SELECT
+    market_item_id,
+    as_of_date,
+    currency,
+    variant,
+    cond_key,
+    COUNT(*)::int AS n,
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY value_cents) AS med,
+    percentile_cont(0.25) WITHIN GROUP (ORDER BY value_cents) AS q1,
+    percentile_cont(0.75) WITHIN GROUP (ORDER BY value_cents) AS q3
+  FROM per_source
+  GROUP BY market_item_id, as_of_date, currency, variant, cond_key
+),
+mads AS (
+  SELECT
+    p.market_item_id,
+    p.as_of_date,
+    p.currency,
+    p.variant,
+    p.cond_key,
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY ABS(p.value_cents - st.med)) AS mad
+  FROM per_source p
+  JOIN stats st
+    USING (market_item_id, as_of_date, currency, variant, cond_key)
+  GROUP BY p.market_item_id, p.as_of_date, p.currency, p.variant, p.cond_key
+),
+flagged AS (
+  SELECT
+    p.*,
+    (st.n >= ${minSources} AND ${outlierSql}) AS is_outlier
+  FROM per_source p
+  JOIN stats st
+    USING (market_item_id, as_of_date, currency, variant, cond_key)
+  JOIN mads md
+    USING (market_item_id, as_of_date, currency, variant, cond_key)
+),
+kept AS (
+  SELECT
+    f.*,
+    SUM(f.weight) OVER (
+      PARTITION BY f.market_item_id, f.as_of_date, f.currency, f.variant, f.cond_key
+      ORDER BY f.value_cents, f.source
+      ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW
+    ) AS cum_weight,
+    SUM(f.weight) OVER (PARTITION BY f.market_item_id, f.as_of_date, f.currency, f.variant, f.cond_key) AS total_weight
+  FROM flagged f
+  WHERE NOT f.is_outlier
+),
+wmedian AS (
+  SELECT DISTINCT ON (market_item_id, as_of_date, currency, variant, cond_key)
+    market_item_id,
+    as_of_date,
+    currency,
+    variant,
+    cond_key,
+    value_cents
+  FROM kept
+  WHERE cum_weight >= total_weight / 2
+  ORDER BY market_item_id, as_of_date, currency, variant, cond_key, value_cents, source
+),
+agg AS (
+  SELECT
+    market_item_id,
+    as_of_date,
+    currency,
+    variant,
+    cond_key,
+    MIN(profile) AS profile,
+    MIN(src_rank) FILTER (WHERE NOT is_outlier) AS src_rank,
+    MIN(pt_rank) FILTER (WHERE NOT is_outlier) AS pt_rank,
+    COUNT(*) FILTER (WHERE NOT is_outlier)::int AS n_kept,
+    COUNT(*) FILTER (WHERE is_outlier)::int AS n_outliers,
+    MIN(value_cents) FILTER (WHERE NOT is_outlier) AS min_kept,
+    MAX(value_cents) FILTER (WHERE NOT is_outlier) AS max_kept,
+    jsonb_agg(
+      jsonb_build_object(
+        'source', source,
+        'price_type', price_type,
+        'condition', condition,
+        'value_cents', value_cents,
+        'weight', weight,
+        'outlier', is_outlier
+      ) || ${FX_SOURCE_SQL}
+      ORDER BY is_outlier, value_cents
+    ) AS sources_used
+  FROM flagged
+  GROUP BY market_item_id, as_of_date, currency, variant, cond_key
+),
+series_rows AS (
+  SELECT
+    a.*,
+    wm.value_cents
+  FROM agg a
+  JOIN wmedian wm
+    USING (market_item_id, as_of_date, currency, variant, cond_key)
+),
+best AS (
+  SELECT
+    a.market_item_id,
+    a.as_of_date,
+    a.currency,
+    a.variant,
+    NULLIF(a.cond_key, '') AS condition,
+    ${IS_DEFAULT_SQL} AS is_default,
+    a.value_cents,
+    GREATEST(
+      10,
+      ROUND(
+        (CASE LEAST(a.n_kept, 4) WHEN 1 THEN 40 WHEN 2 THEN 55 WHEN 3 THEN 70 ELSE 85 END)
+        * (1 - LEAST(0.5, (a.max_kept - a.min_kept)::numeric / NULLIF(a.value_cents, 0)))
+        - 5 * a.n_outliers
+      )
+    )::int AS confidence,
+    a.sources_used,
+    '${METHODS.consensus}'::text AS method,
+    a.profile AS priority_profile
+  FROM series_rows a
+)`;
+}
+
+/**
+ * Rebuilt rows keep a held anomaly's previous value (04_check_price_anomalies.js --hold /
+ * --reject) while they would write the flagged value again. Only for market_price_daily.
+ */
+function upsertSql(table, conflictKey, { holds = false } = {}) {
+  const value = holds ? `COALESCE(h.prev_value_cents, b.value_cents)` : `b.value_cents`;
+  const holdJoin = holds
+    ? `
+LEFT JOIN public.market_price_anomalies h
+  ON h.market_item_id = b.market_item_id
+ AND h.as_of_date = b.as_of_date
+ AND h.currency = b.currency
+ AND h.variant = b.variant
+ AND h.condition IS NOT DISTINCT FROM b.condition
+ AND h.held
+ AND h.status IN ('pending', 'rejected')
+ AND h.prev_value_cents IS NOT NULL
+ AND h.value_cents = b.value_cents`
+    : "";
+  return `
+INSERT INTO public.${table} (
   market_item_id,
   as_of_date,
   currency,
+  variant,
+  condition,
+  is_default,
   value_cents,
   confidence,
   sources_used,
   method,
+  priority_profile,
   updated_at
 )
 SELECT
+  b.market_item_id,
+  b.as_of_date,
+  b.currency,
+  b.variant,
+  b.condition,
+  b.is_default,
+  ${value},
+  b.confidence,
+  b.sources_used,
+  b.method,
+  b.priority_profile,
+  now()
+FROM best b${holdJoin}
+ON CONFLICT (${conflictKey})
+DO UPDATE SET
+  is_default = EXCLUDED.is_default,
+  value_cents = EXCLUDED.value_cents,
+  confidence = EXCLUDED.confidence,
+  sources_used = EXCLUDED.sources_used,
+  method = EXCLUDED.method,
+  priority_profile = EXCLUDED.priority_profile,
+  updated_at = now()
+`;
+}
+
+/**
+ * After an upsert in the same transaction: rows this run did not touch lose is_default
+ * when the run wrote a (different) default row for their item-day. `s` is the table alias
+ * used by whereSql.
+ */
+function clearStaleDefaultsSql(table, whereSql, methodParam) {
+  const sameMethod = methodParam ? `AND n.method = s.method` : "";
+  return `
+UPDATE public.${table} s
+SET is_default = false
+WHERE ${whereSql}
+  ${methodParam ? `AND s.method = $${methodParam}` : ""}
+  AND s.is_default
+  AND s.updated_at <> now()
+  AND EXISTS (
+    SELECT 1
+    FROM public.${table} n
+    WHERE n.market_item_id = s.market_item_id
+      AND n.as_of_date = s.as_of_date
+      AND n.currency = s.currency
+      AND n.is_default
+      AND n.updated_at = now()
+      ${sameMethod}
+  )
+`;
+}
+
+/**
+ * After an upsert in the same transaction: built rows in the window that this run did not
+ * write belong to series that are gone from the snapshots, and are deleted. Carried rows
+ * are left to the carry-forward step.
+ */
+function pruneSeriesSql(table, whereSql, methodParam) {
+  return `
+DELETE FROM public.${table} s
+WHERE ${whereSql}
+  ${methodParam ? `AND s.method = $${methodParam}` : ""}
+  AND s.updated_at <> now()
+  AND s.method IS DISTINCT FROM 'carry_forward'
+`;
+}
+
+// Same type as market_items.id, whatever that is in this database.
+async function marketItemIdType(client) {
+  const { rows } = await client.query(`
+    SELECT format_type(a.atttypid, a.atttypmod) AS t
+    FROM pg_attribute a
+    WHERE a.attrelid = 'public.market_items'::regclass
+      AND a.attname = 'id'
+  `);
+  return rows[0]?.t || "bigint";
+}
+
+async function ensureStaleTable(client) {
+  const idType = await marketItemIdType(client);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.market_price_stale_items (
+      market_item_id ${idType} NOT NULL,
+      currency text NOT NULL,
+      last_price_date date NOT NULL,
+      days_stale int NOT NULL,
+      checked_as_of date NOT NULL,
+      updated_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (market_item_id, currency)
+    )
+  `);
+}
+
+/**
+ * Fill series-days in [$2, $3] that have no row with the series' last real row from the
+ * previous $4 days. Params: $1 currency, $2 from, $3 to, $4 max age, $5 daily decay.
+ */
+const CARRY_FORWARD_SQL = `
+WITH dates AS (
+  SELECT d::date AS as_of_date
+  FROM generate_series($2::date, $3::date, interval '1 day') d
+),
+last_real AS (
+  SELECT DISTINCT ON (m.market_item_id, m.variant, COALESCE(m.condition, ''), dt.as_of_date)
+    m.market_item_id,
+    dt.as_of_date,
+    m.currency,
+    m.variant,
+    m.condition,
+    m.is_default AS source_default,
+    m.value_cents,
+    m.confidence,
+    m.sources_used,
+    m.method AS source_method,
+    m.priority_profile,
+    m.as_of_date AS carried_from,
+    (dt.as_of_date - m.as_of_date) AS age_days
+  FROM dates dt
+  JOIN public.market_price_daily m
+    ON m.currency = $1
+   AND m.as_of_date < dt.as_of_date
+   AND m.as_of_date >= dt.as_of_date - $4::int
+   AND m.method IS DISTINCT FROM '${CARRY_FORWARD_METHOD}'
+  ORDER BY m.market_item_id, m.variant, COALESCE(m.condition, ''), dt.as_of_date, m.as_of_date DESC
+),
+carry AS (
+  SELECT
+    l.*,
+    EXISTS (
+      SELECT 1
+      FROM public.market_price_daily d
+      WHERE d.market_item_id = l.market_item_id
+        AND d.as_of_date = l.as_of_date
+        AND d.currency = l.currency
+        AND d.method IS DISTINCT FROM '${CARRY_FORWARD_METHOD}'
+    ) AS day_has_real
+  FROM last_real l
+  WHERE NOT EXISTS (
+    SELECT 1
+    FROM public.market_price_daily d
+    WHERE d.market_item_id = l.market_item_id
+      AND d.as_of_date = l.as_of_date
+      AND d.currency = l.currency
+      AND d.variant = l.variant
+      AND d.condition IS NOT DISTINCT FROM l.condition
+      AND d.method IS DISTINCT FROM '${CARRY_FORWARD_METHOD}'
+  )
+)
+INSERT INTO public.market_price_daily AS t (
   market_item_id,
   as_of_date,
   currency,
+  variant,
+  condition,
+  is_default,
   value_cents,
   confidence,
   sources_used,
   method,
+  priority_profile,
+  updated_at
+)
+SELECT
+  c.market_item_id,
+  c.as_of_date,
+  c.currency,
+  c.variant,
+  c.condition,
+  NOT c.day_has_real
+    AND ROW_NUMBER() OVER (
+      PARTITION BY c.market_item_id, c.as_of_date
+      ORDER BY c.source_default DESC, c.carried_from DESC, c.variant, c.condition NULLS FIRST
+    ) = 1,
+  c.value_cents,
+  GREATEST(5, ROUND(COALESCE(c.confidence, 70) * power($5::numeric, c.age_days)))::int,
+  jsonb_build_array(
+    jsonb_build_object(
+      'carried_from', c.carried_from,
+      'age_days', c.age_days,
+      'method', c.source_method,
+      'sources', c.sources_used
+    )
+  ),
+  '${CARRY_FORWARD_METHOD}',
+  c.priority_profile,
   now()
-FROM best
-ON CONFLICT (market_item_id, as_of_date, currency)
+FROM carry c
+ON CONFLICT (${DAILY_KEY})
 DO UPDATE SET
+  is_default = EXCLUDED.is_default,
   value_cents = EXCLUDED.value_cents,
   confidence = EXCLUDED.confidence,
   sources_used = EXCLUDED.sources_used,
-  method = EXCLUDED.method,
+  priority_profile = EXCLUDED.priority_profile,
   updated_at = now()
+WHERE t.method = '${CARRY_FORWARD_METHOD}'
 `;
 
+/**
+ * Items whose last real row is more than $3 days before $2. Params: $1 currency, $2 as-of, $3 max age.
+ */
+const STALE_ITEMS_SQL = `
+WITH last_real AS (
+  SELECT market_item_id, MAX(as_of_date) AS last_price_date
+  FROM public.market_price_daily
+  WHERE currency = $1
+    AND as_of_date <= $2::date
+    AND method IS DISTINCT FROM '${CARRY_FORWARD_METHOD}'
+  GROUP BY market_item_id
+),
+stale AS (
+  SELECT market_item_id, last_price_date, ($2::date - last_price_date) AS days_stale
+  FROM last_real
+  WHERE last_price_date < $2::date - $3::int
+),
+cleared AS (
+  DELETE FROM public.market_price_stale_items x
+  WHERE x.currency = $1
+    AND NOT EXISTS (SELECT 1 FROM stale s WHERE s.market_item_id = x.market_item_id)
+  RETURNING 1
+),
+upserted AS (
+  INSERT INTO public.market_price_stale_items
+    (market_item_id, currency, last_price_date, days_stale, checked_as_of, updated_at)
+  SELECT market_item_id, $1, last_price_date, days_stale, $2::date, now()
+  FROM stale
+  ON CONFLICT (market_item_id, currency)
+  DO UPDATE SET
+    last_price_date = EXCLUDED.last_price_date,
+    days_stale = EXCLUDED.days_stale,
+    checked_as_of = EXCLUDED.checked_as_of,
+    updated_at = now()
+  RETURNING 1
+)
+SELECT
+  (SELECT COUNT(*) FROM upserted)::int AS stale,
+  (SELECT COUNT(*) FROM cleared)::int AS cleared
+`;
+
+async function ensureCheckpointTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.market_price_daily_build_checkpoints (
+      run_key text NOT NULL,
+      phase text NOT NULL,
+      window_start date NOT NULL,
+      window_end date NOT NULL,
+      row_count int NOT NULL,
+      finished_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (run_key, phase, window_start)
+    )
+  `);
+}
+
+function addDays(ymd, n) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Sorted snapshot dates -> windows of at most `days` calendar days; empty spans are skipped.
+function windowsFromDates(dates, days) {
+  const windows = [];
+  for (const d of dates) {
+    const last = windows[windows.length - 1];
+    if (last && d <= addDays(last.from, days - 1)) last.to = d;
+    else windows.push({ from: d, to: d });
+  }
+  return windows;
+}
+
+// Every calendar day from..to, in windows of `days` (carry-forward fills days with no snapshots).
+function windowsFromRange(from, to, days) {
+  const windows = [];
+  for (let d = from; d <= to; d = addDays(d, days)) {
+    const end = addDays(d, days - 1);
+    windows.push({ from: d, to: end < to ? end : to });
+  }
+  return windows;
+}
+
+/**
+ * Run `work(client, from, to)` for each window not yet in `done`, `concurrency` at a time,
+ * each on its own pooled client, checkpointing every finished window. After a failure no new
+ * windows start; in-flight ones finish and the first error is rethrown.
+ */
+async function runWindows(pool, { phase, label, windows, done, runKey, concurrency, work }) {
+  const todo = windows.filter((w) => !done.has(`${phase}|${w.from}`));
+  const skipped = windows.length - todo.length;
+  console.log(`${label}: ${todo.length} windows to do${skipped ? ` (${skipped} already done)` : ""}`);
+
+  const started = Date.now();
+  let next = 0;
+  let finished = 0;
+  let totalRows = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && next < todo.length) {
+      const w = todo[next++];
+      const c = await pool.connect();
+      try {
+        const t0 = Date.now();
+        const res = await work(c, w.from, w.to);
+        await c.query(
+          `
+          INSERT INTO public.market_price_daily_build_checkpoints (run_key, phase, window_start, window_end, row_count)
+          VALUES ($1, $2, $3::date, $4::date, $5)
+          ON CONFLICT (run_key, phase, window_start)
+          DO UPDATE SET window_end = EXCLUDED.window_end, row_count = EXCLUDED.row_count, finished_at = now()
+          `,
+          [runKey, phase, w.from, w.to, res.rows]
+        );
+
+        finished++;
+        totalRows += res.rows;
+        const elapsed = (Date.now() - started) / 1000;
+        const eta = Math.round((elapsed / finished) * (todo.length - finished));
+        const span = w.from === w.to ? w.from : `${w.from} → ${w.to}`;
+        console.log(
+          `   [${finished + skipped}/${windows.length}] ${span}: ${res.rows} rows ` +
+            `(${((Date.now() - t0) / 1000).toFixed(1)}s, ETA ${eta}s)`
+        );
+      } catch (e) {
+        failure = failure || e;
+        console.error(`❌ ${label} window ${w.from} → ${w.to} failed: ${e?.message || e}`);
+      } finally {
+        c.release();
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, todo.length) }, worker));
+  if (failure) throw failure;
+
+  console.log(`✅ ${label}: ${totalRows} rows in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+
+  const currency = String(args.currency || "USD").toUpperCase();
+  const today = ymdUtcToday();
+
+  const allDates = !!args["all-dates"];
+  const asOfDate = String(args.date || today);
+  const since = args.since ? String(args.since) : null;
+  const until = args.until ? String(args.until) : null;
+
+  const method = String(args.method || "priority").toLowerCase();
+  if (!METHODS[method]) {
+    console.error(`❌ --method must be ${Object.keys(METHODS).join("|")}`);
+    process.exit(1);
+  }
+  const shadow = !!args.shadow;
+  const table = shadow ? "market_price_daily_shadow" : "market_price_daily";
+
+  const carryDays = args["carry-forward"] != null ? Number(args["carry-forward"]) : 0;
+  const carryDecay = Number(args["carry-decay"] ?? 0.9);
+  if (!Number.isInteger(carryDays) || carryDays < 0) {
+    console.error("❌ --carry-forward must be a number of days");
+    process.exit(1);
+  }
+  if (!(carryDecay > 0 && carryDecay <= 1)) {
+    console.error("❌ --carry-decay must be in (0, 1]");
+    process.exit(1);
+  }
+  if (carryDays && shadow) {
+    console.error("❌ --carry-forward only applies to market_price_daily (drop --shadow)");
+    process.exit(1);
+  }
+
+  const prioritiesConfig = loadPriorities(args.priorities ? String(args.priorities) : DEFAULT_PRIORITIES_PATH);
+  const priorities = resolvePriorities(prioritiesConfig);
+  const consensus =
+    method === "consensus"
+      ? resolveConsensus(prioritiesConfig, {
+          outlier: args.outlier ? String(args.outlier) : null,
+          k: args["outlier-k"] != null ? Number(args["outlier-k"]) : null,
+          minSources: args["min-sources"] != null ? Number(args["min-sources"]) : null,
+        })
+      : null;
+
+  // --fx converts snapshots in every other currency; --fx EUR,GBP only in those.
+  const fx = args.fx != null;
+  const fxFrom =
+    args.fx === true || !fx
+      ? null
+      : String(args.fx)
+          .split(",")
+          .map((c) => c.trim().toUpperCase())
+          .filter(Boolean);
+  const fxMaxAge = Number(args["fx-max-age"] ?? 7);
+  if (fxFrom && (!fxFrom.length || fxFrom.some((c) => !/^[A-Z]{3}$/.test(c)))) {
+    console.error("❌ --fx takes a list of 3-letter currency codes (EUR,GBP) or nothing for all");
+    process.exit(1);
+  }
+  if (!Number.isInteger(fxMaxAge) || fxMaxAge < 1) {
+    console.error("❌ --fx-max-age must be a positive number of days");
+    process.exit(1);
+  }
+
+  const windowDays = Number(args["window-days"] || 1);
+  const concurrency = Number(args.concurrency || 1);
+  const restart = !!args.restart;
+  if (!Number.isInteger(windowDays) || windowDays < 1) {
+    console.error("❌ --window-days must be a positive integer");
+    process.exit(1);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 16) {
+    console.error("❌ --concurrency must be an integer between 1 and 16");
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: DATABASE_URL,
+    max: Math.max(5, concurrency + 1),
+  });
+
+  const rangeDesc = allDates
+    ? since && until
+      ? `for ALL dates ${since} → ${until}`
+      : since
+        ? `for ALL dates since ${since}`
+        : until
+          ? `for ALL dates up to ${until}`
+          : "for ALL dates in snapshots"
+    : `for ${asOfDate}`;
+
+  console.log(`📊 Building ${table} (${currency}, ${method}) ${rangeDesc}`);
+  if (consensus) {
+    console.log(
+      `   outliers: ${consensus.outlier}` +
+        (consensus.outlier === "none" ? "" : ` k=${consensus.k}, min ${consensus.minSources} sources`)
+    );
+  }
+  if (fx) {
+    console.log(
+      `   converting ${fxFrom ? fxFrom.join(", ") : "all other currencies"} to ${currency} ` +
+        `(rates up to ${fxMaxAge} days old, ranked after native prices)`
+    );
+  }
+
+  // Every build runs over one window [$2, $3]; a single --date is a one-day window.
+  // (Plain range predicates keep the (currency, as_of_date) index useful.)
+  const whereSql = [`s.currency = $1`, `s.as_of_date >= $2::date`, `s.as_of_date <= $3::date`].join("\n    AND ");
+
+  const rulesParam = 4;
+  const sourceRanksParam = 5;
+  const priceTypeRanksParam = 6;
+  const variantsParam = 7;
+  const weightsParam = consensus ? 8 : null;
+  const fixedParams = [
+    JSON.stringify(priorities.rules),
+    JSON.stringify(priorities.sourceRanks),
+    JSON.stringify(priorities.priceTypeRanks),
+    JSON.stringify(priorities.variants),
+  ];
+  if (consensus) fixedParams.push(JSON.stringify(consensus.sourceWeights));
+  let fxParams = null;
+  if (fx) {
+    fxParams = { fromParam: 4 + fixedParams.length, maxAgeParam: 5 + fixedParams.length };
+    fixedParams.push(fxFrom, fxMaxAge);
+  }
+
   const client = await pool.connect();
   try {
-    const res = await client.query(sql, params);
-    console.log(`✅ Upserted ${res.rowCount} daily rows into market_price_daily`);
+    await ensureDailyColumns(client);
+    if (shadow) await ensureShadowTable(client);
+    if (carryDays) await ensureStaleTable(client);
+    const productType = await productTypeExpr(client, priorities);
+    const { rows: holdRows } = await client.query(
+      `SELECT to_regclass('public.market_price_anomalies') IS NOT NULL AS ok`
+    );
+    const holds = !shadow && holdRows[0].ok;
+    if (fx) {
+      const { rows } = await client.query(`SELECT to_regclass('public.fx_rates') IS NOT NULL AS ok`);
+      if (!rows[0].ok) throw new Error("--fx needs fx_rates; load rates with scripts/pricing/01_import_fx_rates_csv.js");
+    }
+
+    // NOTE: ranking is PER DAY (partition includes as_of_date).
+    const sql = `
+WITH ${candidatesSql({ whereSql, productType, rulesParam, sourceRanksParam, priceTypeRanksParam, variantsParam, fx: fxParams })},
+${method === "consensus" ? consensusBestSql(consensus, weightsParam) : priorityBestSql()}
+${upsertSql(table, shadow ? SHADOW_KEY : DAILY_KEY, { holds })}`;
+
+    const clearSql = clearStaleDefaultsSql(table, whereSql, shadow ? 4 : null);
+    const pruneSql = pruneSeriesSql(table, whereSql, shadow ? 4 : null);
+
+    async function buildWindow(c, from, to) {
+      await c.query("BEGIN");
+      try {
+        const res = await c.query(sql, [currency, from, to, ...fixedParams]);
+        const windowParams = shadow ? [currency, from, to, METHODS[method]] : [currency, from, to];
+        const pruned = await c.query(pruneSql, windowParams);
+        const cleared = await c.query(clearSql, windowParams);
+        await c.query("COMMIT");
+        return { rows: res.rowCount, cleared: cleared.rowCount, pruned: pruned.rowCount };
+      } catch (e) {
+        await c.query("ROLLBACK");
+        throw e;
+      }
+    }
+
+    async function carryWindow(c, from, to) {
+      await c.query("BEGIN");
+      try {
+        const res = await c.query(CARRY_FORWARD_SQL, [currency, from, to, carryDays, carryDecay]);
+        await c.query("COMMIT");
+        return { rows: res.rowCount, cleared: 0 };
+      } catch (e) {
+        await c.query("ROLLBACK");
+        throw e;
+      }
+    }
+
+    let fromDate = allDates ? since : asOfDate;
+    let toDate = allDates ? until : asOfDate;
+
+    if (!allDates) {
+      const res = await buildWindow(client, asOfDate, asOfDate);
+      console.log(`✅ Upserted ${res.rows} daily series rows into ${table}`);
+      if (res.pruned) console.log(`✅ Removed ${res.pruned} rows of series no longer in the snapshots`);
+      if (res.cleared) console.log(`✅ Moved the default flag off ${res.cleared} older rows`);
+      if (carryDays) {
+        const carried = await carryWindow(client, asOfDate, asOfDate);
+        console.log(`✅ Carried forward ${carried.rows} rows (up to ${carryDays} days, decay ${carryDecay}/day)`);
+      }
+    } else {
+      // With --fx, a day with only other-currency snapshots still gets built.
+      const { rows: dateRows } = await client.query(
+        `
+        SELECT DISTINCT as_of_date::text AS d
+        FROM public.market_price_snapshots
+        WHERE (currency = $1 OR ($4::boolean AND ($5::text[] IS NULL OR currency = ANY ($5::text[]))))
+          AND ($2::date IS NULL OR as_of_date >= $2::date)
+          AND ($3::date IS NULL OR as_of_date <= $3::date)
+        ORDER BY 1
+        `,
+        [currency, since, until, fx, fxFrom]
+      );
+      const dates = dateRows.map((r) => r.d);
+      if (!dates.length) {
+        console.log("⚠️ No snapshots in range; nothing to build");
+      } else {
+        fromDate = fromDate || dates[0];
+        toDate = toDate || dates[dates.length - 1];
+
+        const prioritiesHash = crypto
+          .createHash("sha256")
+          .update(JSON.stringify(prioritiesConfig))
+          .digest("hex")
+          .slice(0, 12);
+        const runKey = [
+          table,
+          currency,
+          method,
+          consensus ? `${consensus.outlier}:${consensus.k}:${consensus.minSources}` : "-",
+          since || "*",
+          until || "*",
+          `w${windowDays}`,
+          `cf${carryDays}:${carryDays ? carryDecay : "-"}`,
+          fx ? `fx:${fxFrom ? [...fxFrom].sort().join(",") : "all"}:${fxMaxAge}` : "nofx",
+          `p:${prioritiesHash}`,
+        ].join("|");
+        await ensureCheckpointTable(client);
+        if (restart) {
+          await client.query(`DELETE FROM public.market_price_daily_build_checkpoints WHERE run_key = $1`, [runKey]);
+        }
+        const { rows: doneRows } = await client.query(
+          `SELECT phase, window_start::text AS window_start FROM public.market_price_daily_build_checkpoints WHERE run_key = $1`,
+          [runKey]
+        );
+        const done = new Set(doneRows.map((r) => `${r.phase}|${r.window_start}`));
+        if (done.size) console.log(`↩️  Resuming: ${done.size} windows already done for this run (--restart to redo them)`);
+
+        const buildWindows = windowsFromDates(dates, windowDays);
+        await runWindows(pool, {
+          phase: "build",
+          label: "📦 build",
+          windows: buildWindows,
+          done,
+          runKey,
+          concurrency,
+          work: buildWindow,
+        });
+
+        if (carryDays) {
+          // Carry reads only real rows, so it needs the whole build done first but not an order.
+          await runWindows(pool, {
+            phase: "carry",
+            label: "🔁 carry",
+            windows: windowsFromRange(fromDate, toDate, windowDays),
+            done,
+            runKey,
+            concurrency,
+            work: carryWindow,
+          });
+        }
+
+        await client.query(`DELETE FROM public.market_price_daily_build_checkpoints WHERE run_key = $1`, [runKey]);
+        console.log(`✅ Rebuild complete (${fromDate} → ${toDate}); checkpoints cleared`);
+      }
+    }
+
+    if (shadow && fromDate && toDate) {
+      const { rows } = await client.query(
+        `
+        SELECT
+          COUNT(*)::int AS shadow_rows,
+          COUNT(d.value_cents)::int AS matched,
+          COUNT(*) FILTER (WHERE d.value_cents = s.value_cents)::int AS same_value,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY ABS(s.value_cents - d.value_cents))::int AS median_abs_diff_cents,
+          ROUND(AVG(s.confidence), 1)::float AS avg_shadow_confidence,
+          ROUND(AVG(d.confidence), 1)::float AS avg_daily_confidence
+        FROM public.market_price_daily_shadow s
+        LEFT JOIN public.market_price_daily d
+          ON d.market_item_id = s.market_item_id
+         AND d.as_of_date = s.as_of_date
+         AND d.currency = s.currency
+         AND d.variant = s.variant
+         AND d.condition IS NOT DISTINCT FROM s.condition
+        WHERE ${whereSql}
+          AND s.method = $4
+        `,
+        [currency, fromDate, toDate, METHODS[method]]
+      );
+      console.log(`📈 ${METHODS[method]} (shadow) vs market_price_daily:`);
+      console.table(rows);
+    }
+
+    if (carryDays && toDate) {
+      const { rows: staleRows } = await client.query(STALE_ITEMS_SQL, [currency, toDate, carryDays]);
+      console.log(
+        `⚠️ ${staleRows[0].stale} items have no ${currency} price in the last ${carryDays} days as of ${toDate} ` +
+          `(market_price_stale_items; ${staleRows[0].cleared} cleared)`
+      );
+
+      if (staleRows[0].stale) {
+        const { rows: byGame } = await client.query(
+          `
+          SELECT
+            COALESCE(mi.game, '?') AS game,
+            COUNT(*)::int AS stale_items,
+            MIN(x.last_price_date)::text AS oldest_price,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY x.days_stale)::int AS median_days_stale
+          FROM public.market_price_stale_items x
+          LEFT JOIN public.market_items mi
+            ON mi.id = x.market_item_id
+          WHERE x.currency = $1
+          GROUP BY 1
+          ORDER BY 2 DESC
+          `,
+          [currency]
+        );
+        console.table(byGame);
+      }
+    }
   } finally {
     client.release();
     await pool.end();
@@ -0,0 +1,525 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/04_check_price_anomalies.js
+ *
+ * Flag suspicious market_price_daily values (a vendor feed off by 100×, a currency
+ * mix-up, …) after 03_build_market_price_daily.js, before the values reach collection
+ * revaluation and the feeds.
+ *
+ * Source:
+ *   public.market_price_daily for --date / --currency, compared with the same series
+ *   (market_item_id, currency, variant, condition) over the previous --lookback days.
+ *   Carried-forward rows are ignored on both sides.
+ *
+ * Behavior:
+ *   - Baseline = median of the series' history; a day is flagged when
+ *       * it is more than (1 + --max-change-pct/100)× above or below the baseline
+ *         (default 200 → more than 3× or less than a third), or
+ *       * its z-score on log prices is beyond --max-z (default 4; only with at least
+ *         --min-history days of history, default 5)
+ *   - Flagged series-days go to market_price_anomalies (status 'pending'), one row per
+ *     series-day; a rerun updates them. Pending anomalies that a rebuild has fixed are removed.
+ *     An approved anomaly is not raised again for the same value.
+ *   - --hold: flagged rows keep the previous value (last history day) in
+ *     market_price_daily until approved; 03_build_market_price_daily.js keeps it when it
+ *     rebuilds the day and would write the flagged value again.
+ *   - --approve ids|all: accept the flagged values (held rows get them back).
+ *     --reject ids|all: keep the previous value for good (held from now on).
+ *     "all" means every pending anomaly for --date / --currency. --by records the reviewer.
+ *   - Prints the flagged items and writes price_anomalies_<currency>_<date>.{json,csv}
+ *     (all pending anomalies for the day) to --out-dir (default ./reports).
+ *
+ * Usage:
+ *   node scripts/pricing/04_check_price_anomalies.js
+ *   node scripts/pricing/04_check_price_anomalies.js --date 2025-12-19 --hold
+ *   node scripts/pricing/04_check_price_anomalies.js --max-change-pct 150 --max-z 3.5 --lookback 60
+ *   node scripts/pricing/04_check_price_anomalies.js --date 2025-12-19 --approve 12,15 --by alice
+ *   node scripts/pricing/04_check_price_anomalies.js --date 2025-12-19 --reject all
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("pg");
+const { csvCell } = require("../lib/csv");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+function ymdUtcToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Matches a daily row `d` to an anomaly row `a` (same series-day).
+const SERIES_JOIN = `
+      d.market_item_id = a.market_item_id
+  AND d.as_of_date = a.as_of_date
+  AND d.currency = a.currency
+  AND d.variant = a.variant
+  AND d.condition IS NOT DISTINCT FROM a.condition`;
+
+// Same type as market_items.id, whatever that is in this database.
+async function marketItemIdType(client) {
+  const { rows } = await client.query(`
+    SELECT format_type(a.atttypid, a.atttypmod) AS t
+    FROM pg_attribute a
+    WHERE a.attrelid = 'public.market_items'::regclass
+      AND a.attname = 'id'
+  `);
+  return rows[0]?.t || "bigint";
+}
+
+async function ensureAnomalyTable(client) {
+  const idType = await marketItemIdType(client);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.market_price_anomalies (
+      id bigserial PRIMARY KEY,
+      market_item_id ${idType} NOT NULL,
+      as_of_date date NOT NULL,
+      currency text NOT NULL,
+      variant text NOT NULL,
+      condition text,
+      value_cents int NOT NULL,
+      prev_value_cents int,
+      prev_date date,
+      baseline_cents int,
+      history_days int NOT NULL,
+      ratio numeric,
+      z_score numeric,
+      reasons text[] NOT NULL,
+      sources_used jsonb,
+      status text NOT NULL DEFAULT 'pending',
+      held boolean NOT NULL DEFAULT false,
+      detected_at timestamptz NOT NULL DEFAULT now(),
+      reviewed_at timestamptz,
+      reviewed_by text
+    )
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS market_price_anomalies_series_key_uniq
+      ON public.market_price_anomalies (market_item_id, as_of_date, currency, variant, (COALESCE(condition, '')))
+  `);
+}
+
+/**
+ * "WITH ... flags AS (...)": the day's rows scored against their history, flagged ones only.
+ * Params: $1 date, $2 currency, $3 lookback days, $4 max change pct, $5 max z, $6 min history.
+ */
+const FLAGS_CTE = `
+WITH today AS (
+  SELECT d.*, COALESCE(d.condition, '') AS cond_key
+  FROM public.market_price_daily d
+  WHERE d.as_of_date = $1::date
+    AND d.currency = $2
+    AND d.method IS DISTINCT FROM 'carry_forward'
+    AND d.value_cents > 0
+),
+hist AS (
+  SELECT
+    t.market_item_id,
+    t.variant,
+    t.cond_key,
+    COUNT(*)::int AS history_days,
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY h.value_cents) AS baseline,
+    AVG(ln(h.value_cents)) AS mean_ln,
+    STDDEV_SAMP(ln(h.value_cents)) AS sd_ln,
+    (ARRAY_AGG(h.value_cents ORDER BY h.as_of_date DESC))[1] AS prev_value_cents,
+    MAX(h.as_of_date) AS prev_date
+  FROM today t
+  JOIN public.market_price_daily h
+    ON h.market_item_id = t.market_item_id
+   AND h.currency = t.currency
+   AND h.variant = t.variant
+   AND COALESCE(h.condition, '') = t.cond_key
+   AND h.as_of_date >= $1::date - $3::int
+   AND h.as_of_date < $1::date
+   AND h.method IS DISTINCT FROM 'carry_forward'
+   AND h.value_cents > 0
+  GROUP BY 1, 2, 3
+),
+scored AS (
+  SELECT
+    t.market_item_id,
+    t.as_of_date,
+    t.currency,
+    t.variant,
+    t.condition,
+    t.value_cents,
+    t.sources_used,
+    h.prev_value_cents,
+    h.prev_date,
+    ROUND(h.baseline)::int AS baseline_cents,
+    h.history_days,
+    ROUND((t.value_cents / h.baseline)::numeric, 4) AS ratio,
+    -- unrounded, so a 10000× drop (ratio rounding to 0) is still flagged
+    GREATEST(t.value_cents / h.baseline, h.baseline / t.value_cents) AS jump,
+    CASE
+      WHEN h.history_days >= $6::int AND h.sd_ln > 0
+        THEN ROUND(((ln(t.value_cents) - h.mean_ln) / h.sd_ln)::numeric, 2)
+    END AS z_score
+  FROM today t
+  JOIN hist h
+    ON h.market_item_id = t.market_item_id
+   AND h.variant = t.variant
+   AND h.cond_key = t.cond_key
+  WHERE h.baseline > 0
+),
+flagged AS (
+  SELECT
+    s.*,
+    ARRAY_REMOVE(ARRAY[
+      CASE WHEN s.jump > 1 + $4::numeric / 100 THEN 'change_pct' END,
+      CASE WHEN ABS(s.z_score) > $5::numeric THEN 'z_score' END
+    ], NULL) AS reasons
+  FROM scored s
+),
+flags AS (
+  SELECT f.*
+  FROM flagged f
+  WHERE cardinality(f.reasons) > 0
+    AND NOT EXISTS (
+      SELECT 1
+      FROM public.market_price_anomalies a
+      WHERE a.market_item_id = f.market_item_id
+        AND a.as_of_date = f.as_of_date
+        AND a.currency = f.currency
+        AND a.variant = f.variant
+        AND a.condition IS NOT DISTINCT FROM f.condition
+        AND a.status = 'approved'
+        AND a.value_cents = f.value_cents
+    )
+)
+`;
+
+// Daily rows still carrying a flagged value get the previous value while the anomaly is held.
+const APPLY_HOLDS_SQL = `
+UPDATE public.market_price_daily d
+SET value_cents = a.prev_value_cents,
+    updated_at = now()
+FROM public.market_price_anomalies a
+WHERE ${SERIES_JOIN}
+  AND a.as_of_date = $1::date
+  AND a.currency = $2
+  AND a.held
+  AND a.status IN ('pending', 'rejected')
+  AND a.prev_value_cents IS NOT NULL
+  AND d.value_cents = a.value_cents
+`;
+
+const REPORT_SQL = `
+SELECT
+  a.id::int AS id,
+  COALESCE(mi.game, '?') AS game,
+  mi.canonical_id,
+  a.market_item_id::text AS market_item_id,
+  a.variant,
+  a.condition,
+  a.value_cents,
+  a.baseline_cents,
+  a.prev_value_cents,
+  a.prev_date::text AS prev_date,
+  a.history_days,
+  a.ratio::float AS ratio,
+  a.z_score::float AS z_score,
+  array_to_string(a.reasons, '+') AS reasons,
+  a.held,
+  a.sources_used
+FROM public.market_price_anomalies a
+LEFT JOIN public.market_items mi
+  ON mi.id = a.market_item_id
+WHERE a.as_of_date = $1::date
+  AND a.currency = $2
+  AND a.status = 'pending'
+ORDER BY GREATEST(a.value_cents::numeric / NULLIF(a.baseline_cents, 0), a.baseline_cents::numeric / NULLIF(a.value_cents, 0)) DESC NULLS LAST, a.id
+`;
+
+function parseIds(v, flag) {
+  if (v === "all") return "all";
+  const ids = String(v)
+    .split(",")
+    .map((s) => Number(s.trim()));
+  if (!ids.length || ids.some((n) => !Number.isInteger(n) || n < 1)) {
+    throw new Error(`--${flag} takes anomaly ids (12,15) or "all"`);
+  }
+  return ids;
+}
+
+function renderCsv(rows) {
+  const header = [
+    "id",
+    "game",
+    "canonical_id",
+    "market_item_id",
+    "variant",
+    "condition",
+    "value_cents",
+    "baseline_cents",
+    "prev_value_cents",
+    "prev_date",
+    "history_days",
+    "ratio",
+    "z_score",
+    "reasons",
+    "held",
+  ];
+  const out = [header.join(",")];
+  for (const r of rows) out.push(header.map((h) => csvCell(r[h])).join(","));
+  return out.join("\n") + "\n";
+}
+
+async function review(client, { decision, ids, asOfDate, currency, by }) {
+  const status = decision === "approve" ? "approved" : "rejected";
+  const idFilter = ids === "all" ? "" : "AND a.id = ANY($4::bigint[])";
+  const params = [asOfDate, currency, by];
+  if (ids !== "all") params.push(ids);
+
+  await client.query("BEGIN");
+  try {
+    const res = await client.query(
+      `
+      UPDATE public.market_price_anomalies a
+      SET status = '${status}',
+          held = ${decision === "reject" ? "true" : "a.held"},
+          reviewed_at = now(),
+          reviewed_by = $3
+      WHERE a.as_of_date = $1::date
+        AND a.currency = $2
+        AND a.status = 'pending'
+        ${idFilter}
+      RETURNING a.id, a.held
+      `,
+      params
+    );
+
+    let changed;
+    if (decision === "approve") {
+      // Held rows get the flagged value back.
+      changed = await client.query(
+        `
+        UPDATE public.market_price_daily d
+        SET value_cents = a.value_cents,
+            updated_at = now()
+        FROM public.market_price_anomalies a
+        WHERE ${SERIES_JOIN}
+          AND a.id = ANY($1::bigint[])
+          AND a.held
+          AND d.value_cents = a.prev_value_cents
+        `,
+        [res.rows.map((r) => r.id)]
+      );
+    } else {
+      changed = await client.query(APPLY_HOLDS_SQL, [asOfDate, currency]);
+    }
+    await client.query("COMMIT");
+
+    console.log(`✅ Marked ${res.rowCount} anomalies ${status}${by ? ` (by ${by})` : ""}`);
+    console.log(
+      decision === "approve"
+        ? `✅ Restored the flagged value on ${changed.rowCount} held daily rows`
+        : `✅ Kept the previous value on ${changed.rowCount} daily rows`
+    );
+    if (ids !== "all" && res.rowCount < ids.length) {
+      console.log(`⚠️ ${ids.length - res.rowCount} ids were not pending anomalies for ${asOfDate} ${currency}`);
+    }
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+
+  const asOfDate = String(args.date || ymdUtcToday());
+  const currency = String(args.currency || "USD").toUpperCase();
+  const lookback = Number(args.lookback || 30);
+  const maxChangePct = Number(args["max-change-pct"] ?? 200);
+  const maxZ = Number(args["max-z"] ?? 4);
+  const minHistory = Number(args["min-history"] ?? 5);
+  const hold = !!args.hold;
+  const outDir = String(args["out-dir"] || "./reports");
+  const top = Number(args.top || 25);
+  const by = args.by ? String(args.by) : process.env.USER || null;
+
+  if (!Number.isInteger(lookback) || lookback < 1) {
+    console.error("❌ --lookback must be a positive number of days");
+    process.exit(1);
+  }
+  if (!(maxChangePct > 0) || !(maxZ > 0)) {
+    console.error("❌ --max-change-pct and --max-z must be > 0");
+    process.exit(1);
+  }
+  if (!Number.isInteger(minHistory) || minHistory < 2) {
+    console.error("❌ --min-history must be an integer >= 2");
+    process.exit(1);
+  }
+  if (args.approve && args.reject) {
+    console.error("❌ Use either --approve or --reject");
+    process.exit(1);
+  }
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  try {
+    await ensureAnomalyTable(client);
+
+    if (args.approve || args.reject) {
+      const decision = args.approve ? "approve" : "reject";
+      const ids = parseIds(args[decision], decision);
+      await review(client, { decision, ids, asOfDate, currency, by });
+      return;
+    }
+
+    console.log(
+      `🔎 Checking market_price_daily ${currency} ${asOfDate} against ${lookback} days of history ` +
+        `(> ${maxChangePct}% from baseline or |z| > ${maxZ})${hold ? ", holding flagged values" : ""}`
+    );
+
+    await client.query("BEGIN");
+    try {
+      const flagParams = [asOfDate, currency, lookback, maxChangePct, maxZ, minHistory];
+
+      const flagged = await client.query(
+        `
+        ${FLAGS_CTE}
+        INSERT INTO public.market_price_anomalies AS a (
+          market_item_id, as_of_date, currency, variant, condition, value_cents,
+          prev_value_cents, prev_date, baseline_cents, history_days, ratio, z_score,
+          reasons, sources_used, held
+        )
+        SELECT
+          market_item_id, as_of_date, currency, variant, condition, value_cents,
+          prev_value_cents, prev_date, baseline_cents, history_days, ratio, z_score,
+          reasons, sources_used, $7::boolean
+        FROM flags
+        ON CONFLICT (market_item_id, as_of_date, currency, variant, (COALESCE(condition, '')))
+        DO UPDATE SET
+          value_cents = EXCLUDED.value_cents,
+          prev_value_cents = EXCLUDED.prev_value_cents,
+          prev_date = EXCLUDED.prev_date,
+          baseline_cents = EXCLUDED.baseline_cents,
+          history_days = EXCLUDED.history_days,
+          ratio = EXCLUDED.ratio,
+          z_score = EXCLUDED.z_score,
+          reasons = EXCLUDED.reasons,
+          sources_used = EXCLUDED.sources_used,
+          held = a.held OR EXCLUDED.held,
+          status = CASE WHEN a.value_cents = EXCLUDED.value_cents THEN a.status ELSE 'pending' END,
+          reviewed_at = CASE WHEN a.value_cents = EXCLUDED.value_cents THEN a.reviewed_at END,
+          reviewed_by = CASE WHEN a.value_cents = EXCLUDED.value_cents THEN a.reviewed_by END,
+          detected_at = now()
+        RETURNING (xmax = 0) AS inserted
+        `,
+        [...flagParams, hold]
+      );
+      const inserted = flagged.rows.filter((r) => r.inserted).length;
+
+      // Pending anomalies no longer flagged, unless the daily row only looks fine because it is held.
+      const cleared = await client.query(
+        `
+        ${FLAGS_CTE}
+        DELETE FROM public.market_price_anomalies a
+        WHERE a.as_of_date = $1::date
+          AND a.currency = $2
+          AND a.status = 'pending'
+          AND NOT EXISTS (
+            SELECT 1
+            FROM flags f
+            WHERE f.market_item_id = a.market_item_id
+              AND f.variant = a.variant
+              AND f.condition IS NOT DISTINCT FROM a.condition
+          )
+          AND NOT EXISTS (
+            SELECT 1
+            FROM public.market_price_daily d
+            WHERE ${SERIES_JOIN}
+              AND a.held
+              AND d.value_cents = a.prev_value_cents
+          )
+        `,
+        flagParams
+      );
+
+      const held = await client.query(APPLY_HOLDS_SQL, [asOfDate, currency]);
+      await client.query("COMMIT");
+
+      console.log(
+        `📊 ${flagged.rowCount} flagged (${inserted} new, ${flagged.rowCount - inserted} already known), ` +
+          `${cleared.rowCount} cleared, ${held.rowCount} daily rows held at their previous value`
+      );
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    }
+
+    const { rows: pending } = await client.query(REPORT_SQL, [asOfDate, currency]);
+    if (!pending.length) {
+      console.log(`✅ No pending anomalies for ${currency} ${asOfDate}`);
+      return;
+    }
+
+    const byGame = {};
+    for (const r of pending) byGame[r.game] = (byGame[r.game] || 0) + 1;
+    console.log(
+      `⚠️ ${pending.length} pending anomalies (${Object.entries(byGame).map(([g, n]) => `${g}=${n}`).join(" ")})`
+    );
+    console.table(
+      pending.slice(0, top).map((r) => ({
+        id: r.id,
+        game: r.game,
+        canonical_id: r.canonical_id,
+        variant: r.variant,
+        condition: r.condition,
+        value_cents: r.value_cents,
+        baseline_cents: r.baseline_cents,
+        ratio: r.ratio,
+        z_score: r.z_score,
+        reasons: r.reasons,
+        held: r.held,
+      }))
+    );
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const base = path.join(outDir, `price_anomalies_${currency}_${asOfDate}`);
+    const report = {
+      as_of_date: asOfDate,
+      currency,
+      generated_at: new Date().toISOString(),
+      thresholds: { lookback_days: lookback, max_change_pct: maxChangePct, max_z: maxZ, min_history: minHistory },
+      summary: { pending: pending.length, by_game: byGame, held: pending.filter((r) => r.held).length },
+      anomalies: pending,
+    };
+    fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2) + "\n", "utf8");
+    fs.writeFileSync(`${base}.csv`, renderCsv(pending), "utf8");
+    console.log(`✅ Wrote ${base}.json and ${base}.csv`);
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error checking price anomalies:", err?.stack || err?.message || err);
+  process.exit(1);
+});
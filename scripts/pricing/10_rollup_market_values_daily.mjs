@@ -3,9 +3,62 @@
 /**
  * scripts/pricing/10_rollup_market_values_daily.mjs
  *
- * Roll up market_sales_comps into market_values_daily for CURRENT_DATE.
- * - Uses last 180 days
+ * Roll up market_sales_comps into market_values_daily for CURRENT_DATE,
+ * or for a past day / range of days (backfill).
+ * - Each day is computed as it would have looked then: only comps sold on or before
+ *   that day, within the lookback window ending that day (default 180 days)
  * - Median + p25/p75 + last sale + confidence grade
+ * - Confidence grade from the comp count: A >= 10, B >= 5, C >= 2, else D
+ *   (--confidence-min-comps 10,5,2)
+ * - Each day is rewritten in its own transaction; rows of that day whose
+ *   (card_key, grade) no longer has comps in the window are removed
+ * - --valuation weighted: comps are weighted by recency (weight halves every
+ *   --half-life-days, default 30) and outliers are trimmed first (--outlier iqr|mad|none,
+ *   default iqr, --outlier-k default 1.5 for IQR / 3 for MAD, only with --min-comps comps,
+ *   default 4); value and range are the weighted median / p25 / p75 of the kept comps and
+ *   the confidence grade counts kept comps only. --valuation median (default) is the plain
+ *   median of every comp
+ *
+ * - Grade ladder (on by default, --no-infer to skip): grades of a card with no comps in
+ *   the window are estimated from a neighbouring grade of the same card that has them
+ *   (nearest on the grade ladder: same grader first, raw below 1). The grade-to-grade
+ *   price ratio is the median ratio over cards that sold in both grades that day, learned
+ *   per value band of the known grade (--infer-bands, default 10,50,200,1000 USD) with a
+ *   pooled all-bands ratio as fallback; a ratio needs --infer-min-pairs cards (default 5).
+ *   The range is the known value times the ratio's p25 / p75. --infer-grades limits which
+ *   grades are filled in (default: every grade sold that day)
+ *
+ * - Movement, written next to the value for every row of the day (inferred ones too):
+ *     change_7d_pct / change_30d_pct / change_90d_pct  % change of market_value_usd against
+ *       the latest row of the same (card_key, grade) 7 / 30 / 90 days earlier (up to a
+ *       week older is accepted, to ride over missed runs); NULL without such a row, so
+ *       backfill history first (--since) for changes on a fresh table
+ *     sales_per_week          comps sold in the last 30 days, per week
+ *     days_since_last_sale    days since the latest comp of that grade, however old
+ *     volatility_30d_pct      standard deviation of the day-to-day log change of
+ *       market_value_usd over the last 30 days, in %; NULL under 10 daily values
+ *   Later days read the rewritten ones, so after the last day of the run the changes and
+ *   volatility of the existing days up to 96 days after it are recomputed too
+ *
+ * sales_count_180d holds the comp count in the lookback window, whatever its length;
+ * excluded_count_180d how many of those were trimmed as outliers, valuation_method which
+ * valuation produced the row.
+ *
+ * Inferred rows have inferred = true, valuation_method 'ladder', no sales, and
+ * inferred_from_grade / inferred_ratio / inferred_pairs naming the grade, ratio and card
+ * count behind them. Their confidence is C at best: C when the ratio comes from the
+ * card's own value band, from at least --infer-confident-pairs cards (default 20), and
+ * the known grade is A or B; D otherwise. They are recomputed with every run of a day and
+ * never overwrite a row backed by comps.
+ *
+ * Usage:
+ *   node scripts/pricing/10_rollup_market_values_daily.mjs
+ *   node scripts/pricing/10_rollup_market_values_daily.mjs --date 2025-12-19
+ *   node scripts/pricing/10_rollup_market_values_daily.mjs --since 2025-12-01 [--until 2025-12-31]
+ *   node scripts/pricing/10_rollup_market_values_daily.mjs --lookback-days 90 --confidence-min-comps 12,6,3
+ *   node scripts/pricing/10_rollup_market_values_daily.mjs --valuation weighted --half-life-days 21 --outlier mad
+ *   node scripts/pricing/10_rollup_market_values_daily.mjs --infer-grades "raw,PSA 9,PSA 10" --infer-min-pairs 10
+ *   node scripts/pricing/10_rollup_market_values_daily.mjs --no-infer
  *
  * Env:
  *   DATABASE_URL (required)
@@ -13,6 +66,7 @@
 
 import "dotenv/config";
 import pg from "pg";
+import { parseGrade, normalizeGrade } from "../lib/salesComps.js";
 
 const { Client } = pg;
 
@@ -22,78 +76,668 @@ if (!DATABASE_URL) {
   process.exit(1);
 }
 
+const YMD = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+function addDays(ymd, n) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Minimum comp counts for confidence A, B, C ("10,5,2").
+function parseConfidenceMinComps(v) {
+  const [a, b, c] = String(v).split(",").map((s) => Number(s.trim()));
+  if (![a, b, c].every((n) => Number.isInteger(n) && n >= 1) || !(a >= b && b >= c)) {
+    throw new Error(`--confidence-min-comps must be three descending counts like 10,5,2 (got "${v}")`);
+  }
+  return { a, b, c };
+}
+
+// Shared by both valuations: the lookback window ending at the end of $1 (as_of_date), so
+// later sales never leak into a past day. $2 = lookback days.
+const RECENT_SQL = `
+  recent AS (
+    SELECT *
+    FROM public.market_sales_comps
+    WHERE sold_at >= ($1::date + 1) - make_interval(days => $2::int)
+      AND sold_at < $1::date + 1
+  )`;
+
+// Plain median / quartiles of every comp in the window.
+const MEDIAN_STATS_SQL = `
+  stats AS (
+    SELECT
+      card_key,
+      grade,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY sold_price_usd) AS median_price,
+      percentile_cont(0.25) WITHIN GROUP (ORDER BY sold_price_usd) AS p25,
+      percentile_cont(0.75) WITHIN GROUP (ORDER BY sold_price_usd) AS p75,
+      COUNT(*)::int AS cnt,
+      COUNT(*)::int AS kept,
+      0 AS excluded,
+      MAX(sold_at) AS last_sale_at
+    FROM recent
+    GROUP BY card_key, grade
+  )`;
+
+/**
+ * Recency-weighted quantiles after outlier trimming. $6 = half-life in days: a comp's
+ * weight halves every $6 days of age. Outliers are only trimmed with at least minComps
+ * comps; the band is never narrower than 5% of the median (MAD), like the daily builder.
+ */
+function weightedStatsSql({ outlier, k, minComps }) {
+  const outlierSql =
+    outlier === "mad"
+      ? `ABS(r.sold_price_usd - b.med) > GREATEST(${k} * 1.4826 * m.mad, 0.05 * b.med)`
+      : outlier === "iqr"
+        ? `(r.sold_price_usd < b.q1 - ${k} * (b.q3 - b.q1) OR r.sold_price_usd > b.q3 + ${k} * (b.q3 - b.q1))`
+        : "false";
+
+  return `
+  weighted AS (
+    SELECT
+      r.*,
+      power(
+        0.5,
+        EXTRACT(EPOCH FROM (($1::date + 1)::timestamptz - r.sold_at::timestamptz)) / 86400.0 / $6::numeric
+      ) AS w
+    FROM recent r
+  ),
+  base AS (
+    SELECT
+      card_key,
+      grade,
+      COUNT(*)::int AS n,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY sold_price_usd) AS med,
+      percentile_cont(0.25) WITHIN GROUP (ORDER BY sold_price_usd) AS q1,
+      percentile_cont(0.75) WITHIN GROUP (ORDER BY sold_price_usd) AS q3
+    FROM recent
+    GROUP BY card_key, grade
+  ),
+  mads AS (
+    SELECT
+      r.card_key,
+      r.grade,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY ABS(r.sold_price_usd - b.med)) AS mad
+    FROM recent r
+    JOIN base b
+      USING (card_key, grade)
+    GROUP BY r.card_key, r.grade
+  ),
+  flagged AS (
+    SELECT
+      r.*,
+      (b.n >= ${minComps} AND ${outlierSql}) AS is_outlier
+    FROM weighted r
+    JOIN base b
+      USING (card_key, grade)
+    JOIN mads m
+      USING (card_key, grade)
+  ),
+  kept AS (
+    SELECT
+      f.*,
+      SUM(f.w) OVER (
+        PARTITION BY f.card_key, f.grade
+        ORDER BY f.sold_price_usd, f.sold_at
+        ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW
+      ) AS cum_w,
+      SUM(f.w) OVER (PARTITION BY f.card_key, f.grade) AS total_w
+    FROM flagged f
+    WHERE NOT f.is_outlier
+  ),
+  kept_stats AS (
+    SELECT
+      card_key,
+      grade,
+      MIN(sold_price_usd) FILTER (WHERE cum_w >= 0.5 * total_w) AS median_price,
+      MIN(sold_price_usd) FILTER (WHERE cum_w >= 0.25 * total_w) AS p25,
+      MIN(sold_price_usd) FILTER (WHERE cum_w >= 0.75 * total_w) AS p75
+    FROM kept
+    GROUP BY card_key, grade
+  ),
+  stats AS (
+    SELECT
+      f.card_key,
+      f.grade,
+      ks.median_price,
+      ks.p25,
+      ks.p75,
+      COUNT(*)::int AS cnt,
+      COUNT(*) FILTER (WHERE NOT f.is_outlier)::int AS kept,
+      COUNT(*) FILTER (WHERE f.is_outlier)::int AS excluded,
+      MAX(f.sold_at) AS last_sale_at
+    FROM flagged f
+    JOIN kept_stats ks
+      USING (card_key, grade)
+    GROUP BY f.card_key, f.grade, ks.median_price, ks.p25, ks.p75
+  )`;
+}
+
+/**
+ * $1 as_of_date, $2 lookback days, $3/$4/$5 minimum comps for A/B/C (counted after
+ * trimming), $6 half-life (weighted only).
+ */
+function rollupSql(valuation) {
+  const statsSql = valuation.method === "weighted" ? weightedStatsSql(valuation) : MEDIAN_STATS_SQL;
+  return `
+  WITH ${RECENT_SQL},
+  ${statsSql}
+  INSERT INTO public.market_values_daily (
+    as_of_date,
+    card_key,
+    grade,
+    market_value_usd,
+    range_low_usd,
+    range_high_usd,
+    last_sale_usd,
+    last_sale_at,
+    sales_count_180d,
+    excluded_count_180d,
+    valuation_method,
+    confidence
+  )
+  SELECT
+    $1::date,
+    s.card_key,
+    s.grade,
+    s.median_price::numeric(12,2),
+    s.p25::numeric(12,2),
+    s.p75::numeric(12,2),
+    (
+      SELECT r.sold_price_usd
+      FROM recent r
+      WHERE r.card_key = s.card_key AND r.grade = s.grade
+      ORDER BY r.sold_at DESC
+      LIMIT 1
+    )::numeric(12,2) AS last_sale_usd,
+    s.last_sale_at,
+    s.cnt AS sales_count_180d,
+    s.excluded AS excluded_count_180d,
+    '${valuation.method}' AS valuation_method,
+    CASE
+      WHEN s.kept >= $3::int THEN 'A'
+      WHEN s.kept >= $4::int THEN 'B'
+      WHEN s.kept >= $5::int THEN 'C'
+      ELSE 'D'
+    END AS confidence
+  FROM stats s
+  ON CONFLICT (as_of_date, card_key, grade) DO UPDATE SET
+    market_value_usd = EXCLUDED.market_value_usd,
+    range_low_usd = EXCLUDED.range_low_usd,
+    range_high_usd = EXCLUDED.range_high_usd,
+    last_sale_usd = EXCLUDED.last_sale_usd,
+    last_sale_at = EXCLUDED.last_sale_at,
+    sales_count_180d = EXCLUDED.sales_count_180d,
+    excluded_count_180d = EXCLUDED.excluded_count_180d,
+    valuation_method = EXCLUDED.valuation_method,
+    confidence = EXCLUDED.confidence
+`;
+}
+
+async function ensureColumns(client) {
+  await client.query(`
+    ALTER TABLE public.market_values_daily
+      ADD COLUMN IF NOT EXISTS excluded_count_180d int NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS valuation_method text,
+      ADD COLUMN IF NOT EXISTS inferred boolean NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS inferred_from_grade text,
+      ADD COLUMN IF NOT EXISTS inferred_ratio numeric(12,4),
+      ADD COLUMN IF NOT EXISTS inferred_pairs int,
+      ADD COLUMN IF NOT EXISTS change_7d_pct numeric(12,2),
+      ADD COLUMN IF NOT EXISTS change_30d_pct numeric(12,2),
+      ADD COLUMN IF NOT EXISTS change_90d_pct numeric(12,2),
+      ADD COLUMN IF NOT EXISTS sales_per_week numeric(8,2),
+      ADD COLUMN IF NOT EXISTS days_since_last_sale int,
+      ADD COLUMN IF NOT EXISTS volatility_30d_pct numeric(8,2)
+  `);
+}
+
+// Inferred rows are rebuilt from scratch for every day that is rolled up.
+const CLEAR_INFERRED_SQL = `
+  DELETE FROM public.market_values_daily
+  WHERE as_of_date = $1::date
+    AND inferred
+`;
+
+/**
+ * Fill missing grades of $1 from a neighbouring known grade of the same card.
+ * $2/$3/$4 the grade ladder (grade, grader or NULL for raw, position), $5 value band
+ * edges, $6 minimum cards per ratio, $7 grades to fill (NULL = whole ladder),
+ * $8 minimum cards for a C.
+ *
+ * Ratios are learned in log space from cards that have both grades with confidence
+ * A-C; GROUPING SETS yields a per-band ratio and a pooled one (pooled = 1).
+ */
+const INFER_SQL = `
+  WITH ladder AS (
+    SELECT *
+    FROM unnest($2::text[], $3::text[], $4::numeric[]) AS l(grade, grader, pos)
+  ),
+  known AS (
+    SELECT
+      v.card_key,
+      v.grade,
+      v.market_value_usd AS value,
+      v.confidence,
+      width_bucket(v.market_value_usd, $5::numeric[]) AS band
+    FROM public.market_values_daily v
+    JOIN ladder l
+      ON l.grade = v.grade
+    WHERE v.as_of_date = $1::date
+      AND NOT v.inferred
+      AND v.market_value_usd > 0
+  ),
+  pairs AS (
+    SELECT
+      a.grade AS from_grade,
+      b.grade AS to_grade,
+      a.band,
+      ln(b.value / a.value) AS lr
+    FROM known a
+    JOIN known b
+      ON b.card_key = a.card_key
+     AND b.grade <> a.grade
+    WHERE a.confidence <> 'D'
+      AND b.confidence <> 'D'
+  ),
+  ratios AS (
+    SELECT
+      from_grade,
+      to_grade,
+      band,
+      GROUPING(band) AS pooled,
+      COUNT(*)::int AS n,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY lr) AS lr50,
+      percentile_cont(0.25) WITHIN GROUP (ORDER BY lr) AS lr25,
+      percentile_cont(0.75) WITHIN GROUP (ORDER BY lr) AS lr75
+    FROM pairs
+    GROUP BY GROUPING SETS ((from_grade, to_grade, band), (from_grade, to_grade))
+    HAVING COUNT(*) >= $6::int
+  ),
+  candidates AS (
+    SELECT
+      k.card_key,
+      lt.grade,
+      k.grade AS from_grade,
+      k.value,
+      k.confidence AS from_confidence,
+      r.pooled,
+      r.n,
+      r.lr50,
+      r.lr25,
+      r.lr75,
+      ABS(lt.pos - lf.pos)
+        + CASE WHEN lt.grader IS NOT NULL AND lf.grader IS NOT NULL AND lt.grader <> lf.grader THEN 0.5 ELSE 0 END
+        AS distance
+    FROM known k
+    JOIN ladder lf
+      ON lf.grade = k.grade
+    JOIN ratios r
+      ON r.from_grade = k.grade
+     AND (r.band = k.band OR r.pooled = 1)
+    JOIN ladder lt
+      ON lt.grade = r.to_grade
+    WHERE ($7::text[] IS NULL OR lt.grade = ANY ($7::text[]))
+      AND NOT EXISTS (
+        SELECT 1
+        FROM known x
+        WHERE x.card_key = k.card_key
+          AND x.grade = lt.grade
+      )
+  ),
+  best AS (
+    SELECT DISTINCT ON (card_key, grade) *
+    FROM candidates
+    ORDER BY card_key, grade, distance, pooled, from_confidence, n DESC
+  )
+  INSERT INTO public.market_values_daily (
+    as_of_date,
+    card_key,
+    grade,
+    market_value_usd,
+    range_low_usd,
+    range_high_usd,
+    last_sale_usd,
+    last_sale_at,
+    sales_count_180d,
+    excluded_count_180d,
+    valuation_method,
+    confidence,
+    inferred,
+    inferred_from_grade,
+    inferred_ratio,
+    inferred_pairs
+  )
+  SELECT
+    $1::date,
+    b.card_key,
+    b.grade,
+    (b.value * exp(b.lr50))::numeric(12,2),
+    (b.value * exp(b.lr25))::numeric(12,2),
+    (b.value * exp(b.lr75))::numeric(12,2),
+    NULL,
+    NULL,
+    0,
+    0,
+    'ladder',
+    CASE
+      WHEN b.pooled = 0 AND b.n >= $8::int AND b.from_confidence IN ('A', 'B') THEN 'C'
+      ELSE 'D'
+    END,
+    true,
+    b.from_grade,
+    exp(b.lr50)::numeric(12,4),
+    b.n
+  FROM best b
+  ON CONFLICT (as_of_date, card_key, grade) DO NOTHING
+`;
+
+/**
+ * Trend / velocity / volatility for every row of $1, from earlier market_values_daily
+ * rows (changes, volatility) and from the comps (sales per week, last sale). Runs last in
+ * the day, so inferred rows get them too.
+ */
+const METRICS_SQL = `
+  WITH m AS (
+    SELECT
+      v.card_key,
+      v.grade,
+      v.market_value_usd AS value,
+      (
+        SELECT p.market_value_usd
+        FROM public.market_values_daily p
+        WHERE p.card_key = v.card_key
+          AND p.grade = v.grade
+          AND p.as_of_date <= $1::date - 7
+          AND p.as_of_date > $1::date - 14
+        ORDER BY p.as_of_date DESC
+        LIMIT 1
+      ) AS value_7d,
+      (
+        SELECT p.market_value_usd
+        FROM public.market_values_daily p
+        WHERE p.card_key = v.card_key
+          AND p.grade = v.grade
+          AND p.as_of_date <= $1::date - 30
+          AND p.as_of_date > $1::date - 37
+        ORDER BY p.as_of_date DESC
+        LIMIT 1
+      ) AS value_30d,
+      (
+        SELECT p.market_value_usd
+        FROM public.market_values_daily p
+        WHERE p.card_key = v.card_key
+          AND p.grade = v.grade
+          AND p.as_of_date <= $1::date - 90
+          AND p.as_of_date > $1::date - 97
+        ORDER BY p.as_of_date DESC
+        LIMIT 1
+      ) AS value_90d,
+      (
+        SELECT CASE WHEN COUNT(x.r) >= 9 THEN stddev_samp(x.r) * 100 END
+        FROM (
+          SELECT ln(p.market_value_usd / lag(p.market_value_usd) OVER (ORDER BY p.as_of_date)) AS r
+          FROM public.market_values_daily p
+          WHERE p.card_key = v.card_key
+            AND p.grade = v.grade
+            AND p.as_of_date > $1::date - 30
+            AND p.as_of_date <= $1::date
+            AND p.market_value_usd > 0
+        ) x
+      ) AS volatility,
+      (
+        SELECT COUNT(*)
+        FROM public.market_sales_comps c
+        WHERE c.card_key = v.card_key
+          AND c.grade = v.grade
+          AND c.sold_at >= ($1::date + 1) - interval '30 days'
+          AND c.sold_at < $1::date + 1
+      ) AS sales_30d,
+      (
+        SELECT MAX(c.sold_at)
+        FROM public.market_sales_comps c
+        WHERE c.card_key = v.card_key
+          AND c.grade = v.grade
+          AND c.sold_at < $1::date + 1
+      ) AS last_sold_at
+    FROM public.market_values_daily v
+    WHERE v.as_of_date = $1::date
+  )
+  UPDATE public.market_values_daily v
+  SET
+    change_7d_pct = ROUND((m.value / NULLIF(m.value_7d, 0) - 1) * 100, 2),
+    change_30d_pct = ROUND((m.value / NULLIF(m.value_30d, 0) - 1) * 100, 2),
+    change_90d_pct = ROUND((m.value / NULLIF(m.value_90d, 0) - 1) * 100, 2),
+    sales_per_week = ROUND(m.sales_30d * 7 / 30.0, 2),
+    days_since_last_sale = $1::date - m.last_sold_at::date,
+    volatility_30d_pct = ROUND(m.volatility::numeric, 2)
+  FROM m
+  WHERE v.as_of_date = $1::date
+    AND v.card_key = m.card_key
+    AND v.grade = m.grade
+`;
+
+// Days after $1 whose changes / volatility read it: the 90-day change looks back up to 96 days.
+const METRICS_REACH_DAYS = 96;
+const LATER_DAYS_SQL = `
+  SELECT DISTINCT as_of_date::text AS d
+  FROM public.market_values_daily
+  WHERE as_of_date > $1::date
+    AND as_of_date <= $1::date + ${METRICS_REACH_DAYS}
+  ORDER BY 1
+`;
+
+// Grades of $1 backed by comps, to build the ladder from.
+const DAY_GRADES_SQL = `
+  SELECT DISTINCT grade
+  FROM public.market_values_daily
+  WHERE as_of_date = $1::date
+    AND NOT inferred
+`;
+
+/**
+ * Ladder positions for the grades present that day: raw = 0, graded = its number.
+ * Grades outside the comps vocabulary are left off the ladder (never inferred from or to).
+ */
+function ladderParams(grades) {
+  const ladder = grades.map((g) => ({ grade: g, parsed: parseGrade(g) })).filter((g) => g.parsed);
+  return [ladder.map((g) => g.grade), ladder.map((g) => g.parsed.grader), ladder.map((g) => g.parsed.value)];
+}
+
+function parseInference(args) {
+  if (args["no-infer"]) return null;
+
+  const bands = String(args["infer-bands"] ?? "10,50,200,1000")
+    .split(",")
+    .map((s) => Number(s.trim()));
+  if (!bands.every((n, i) => Number.isFinite(n) && n > 0 && (i === 0 || n > bands[i - 1]))) {
+    throw new Error("--infer-bands must be ascending USD amounts like 10,50,200,1000");
+  }
+  const minPairs = Number(args["infer-min-pairs"] ?? 5);
+  const confidentPairs = Number(args["infer-confident-pairs"] ?? 20);
+  if (!Number.isInteger(minPairs) || minPairs < 2) throw new Error("--infer-min-pairs must be an integer >= 2");
+  if (!Number.isInteger(confidentPairs) || confidentPairs < minPairs) {
+    throw new Error("--infer-confident-pairs must be an integer >= --infer-min-pairs");
+  }
+
+  let only = null;
+  if (args["infer-grades"]) {
+    only = String(args["infer-grades"])
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .map((s) => {
+        const g = normalizeGrade(s);
+        if (!g) throw new Error(`--infer-grades: unknown grade "${s}"`);
+        return g;
+      });
+  }
+
+  return { bands, minPairs, confidentPairs, only };
+}
+
+// Same window as RECENT_SQL ($1 as_of_date, $2 lookback days).
+const CLEAR_STALE_SQL = `
+  DELETE FROM public.market_values_daily v
+  WHERE v.as_of_date = $1::date
+    AND NOT EXISTS (
+      SELECT 1
+      FROM public.market_sales_comps c
+      WHERE c.card_key = v.card_key
+        AND c.grade = v.grade
+        AND c.sold_at >= ($1::date + 1) - make_interval(days => $2::int)
+        AND c.sold_at < $1::date + 1
+    )
+`;
+
+async function rollupDay(client, day, { lookbackDays, confidence, valuation, inference, sql }) {
+  const params = [day, lookbackDays, confidence.a, confidence.b, confidence.c];
+  if (valuation.method === "weighted") params.push(valuation.halfLifeDays);
+
+  await client.query("BEGIN");
+  try {
+    await client.query(CLEAR_INFERRED_SQL, [day]);
+    const res = await client.query(sql, params);
+    const cleared = await client.query(CLEAR_STALE_SQL, [day, lookbackDays]);
+
+    let inferred = 0;
+    if (inference) {
+      const { rows } = await client.query(DAY_GRADES_SQL, [day]);
+      const ladder = ladderParams(rows.map((r) => r.grade));
+      const inf = await client.query(INFER_SQL, [
+        day,
+        ...ladder,
+        inference.bands,
+        inference.minPairs,
+        inference.only,
+        inference.confidentPairs,
+      ]);
+      inferred = inf.rowCount ?? 0;
+    }
+
+    await client.query(METRICS_SQL, [day]);
+
+    await client.query("COMMIT");
+    return { upserted: res.rowCount ?? 0, cleared: cleared.rowCount ?? 0, inferred };
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
+
+function parseValuation(args) {
+  const method = String(args.valuation || "median").toLowerCase();
+  if (!["median", "weighted"].includes(method)) throw new Error("--valuation must be median|weighted");
+
+  const outlier = String(args.outlier || "iqr").toLowerCase();
+  if (!["iqr", "mad", "none"].includes(outlier)) throw new Error("--outlier must be iqr|mad|none");
+  const k = Number(args["outlier-k"] ?? (outlier === "mad" ? 3 : 1.5));
+  const minComps = Number(args["min-comps"] ?? 4);
+  const halfLifeDays = Number(args["half-life-days"] ?? 30);
+  if (!(Number.isFinite(k) && k > 0)) throw new Error("--outlier-k must be > 0");
+  if (!Number.isInteger(minComps) || minComps < 3) throw new Error("--min-comps must be an integer >= 3");
+  if (!(Number.isFinite(halfLifeDays) && halfLifeDays > 0)) throw new Error("--half-life-days must be > 0");
+
+  return { method, outlier, k, minComps, halfLifeDays };
+}
+
 async function main() {
+  const args = parseArgs(process.argv);
+
+  const lookbackDays = Number(args["lookback-days"] ?? 180);
+  if (!Number.isInteger(lookbackDays) || lookbackDays < 1) {
+    throw new Error("--lookback-days must be a positive number of days");
+  }
+  if (args.grades != null) throw new Error("--grades is now --confidence-min-comps");
+  const confidence = parseConfidenceMinComps(args["confidence-min-comps"] ?? "10,5,2");
+  const valuation = parseValuation(args);
+  const inference = parseInference(args);
+
+  for (const k of ["date", "since", "until"]) {
+    if (args[k] != null && !YMD.test(String(args[k]))) throw new Error(`--${k} must be YYYY-MM-DD`);
+  }
+  if (args.date && (args.since || args.until)) throw new Error("Use either --date or --since/--until");
+  if (args.until && !args.since) throw new Error("--until needs --since");
+
   const client = new Client({ connectionString: DATABASE_URL });
   await client.connect();
 
   try {
     console.log("=== rollup_market_values_daily: start ===");
+    await ensureColumns(client);
 
-    const sql = `
-      WITH recent AS (
-        SELECT *
-        FROM public.market_sales_comps
-        WHERE sold_at >= now() - interval '180 days'
-      ),
-      stats AS (
-        SELECT
-          card_key,
-          grade,
-          percentile_cont(0.5) WITHIN GROUP (ORDER BY sold_price_usd) AS median_price,
-          percentile_cont(0.25) WITHIN GROUP (ORDER BY sold_price_usd) AS p25,
-          percentile_cont(0.75) WITHIN GROUP (ORDER BY sold_price_usd) AS p75,
-          COUNT(*)::int AS cnt,
-          MAX(sold_at) AS last_sale_at
-        FROM recent
-        GROUP BY card_key, grade
-      )
-      INSERT INTO public.market_values_daily (
-        as_of_date,
-        card_key,
-        grade,
-        market_value_usd,
-        range_low_usd,
-        range_high_usd,
-        last_sale_usd,
-        last_sale_at,
-        sales_count_180d,
-        confidence
-      )
-      SELECT
-        CURRENT_DATE,
-        s.card_key,
-        s.grade,
-        s.median_price::numeric(12,2),
-        s.p25::numeric(12,2),
-        s.p75::numeric(12,2),
-        (
-          SELECT r.sold_price_usd
-          FROM recent r
-          WHERE r.card_key = s.card_key AND r.grade = s.grade
-          ORDER BY r.sold_at DESC
-          LIMIT 1
-        )::numeric(12,2) AS last_sale_usd,
-        s.last_sale_at,
-        s.cnt AS sales_count_180d,
-        CASE
-          WHEN s.cnt >= 10 THEN 'A'
-          WHEN s.cnt >= 5 THEN 'B'
-          WHEN s.cnt >= 2 THEN 'C'
-          ELSE 'D'
-        END AS confidence
-      FROM stats s
-      ON CONFLICT (as_of_date, card_key, grade) DO UPDATE SET
-        market_value_usd = EXCLUDED.market_value_usd,
-        range_low_usd = EXCLUDED.range_low_usd,
-        range_high_usd = EXCLUDED.range_high_usd,
-        last_sale_usd = EXCLUDED.last_sale_usd,
-        last_sale_at = EXCLUDED.last_sale_at,
-        sales_count_180d = EXCLUDED.sales_count_180d,
-        confidence = EXCLUDED.confidence
-    `;
-
-    const res = await client.query(sql);
-    console.log("rows affected:", res.rowCount ?? "(unknown)");
+    // Date from DB (date only), like the rest of the pipeline's "today"
+    const { rows: dateRows } = await client.query("SELECT CURRENT_DATE::text AS d");
+    const today = dateRows[0].d;
+
+    const days = [];
+    if (args.since) {
+      const until = args.until ? String(args.until) : today;
+      for (let d = String(args.since); d <= until; d = addDays(d, 1)) days.push(d);
+      if (!days.length) throw new Error(`--since ${args.since} is after ${until}`);
+    } else {
+      days.push(args.date ? String(args.date) : today);
+    }
+
+    console.log(
+      `days: ${days[0]}${days.length > 1 ? ` .. ${days[days.length - 1]} (${days.length})` : ""}, ` +
+        `lookback: ${lookbackDays}d, confidence: A>=${confidence.a} B>=${confidence.b} C>=${confidence.c}`
+    );
+    console.log(
+      valuation.method === "weighted"
+        ? `valuation: weighted (half-life ${valuation.halfLifeDays}d, outliers: ${valuation.outlier}` +
+            `${valuation.outlier === "none" ? "" : ` k=${valuation.k}, min ${valuation.minComps} comps`})`
+        : "valuation: median"
+    );
+    console.log(
+      inference
+        ? `grade ladder: bands ${inference.bands.join("/")} USD, >= ${inference.minPairs} cards per ratio` +
+            `${inference.only ? `, grades: ${inference.only.join(", ")}` : ""}`
+        : "grade ladder: off"
+    );
+    const sql = rollupSql(valuation);
+
+    let total = 0;
+    let totalInferred = 0;
+    for (const day of days) {
+      const res = await rollupDay(client, day, { lookbackDays, confidence, valuation, inference, sql });
+      total += res.upserted;
+      totalInferred += res.inferred;
+      console.log(
+        `${day}: rows affected: ${res.upserted}` +
+          `${res.cleared ? `, stale rows removed: ${res.cleared}` : ""}` +
+          `${inference ? `, grades inferred: ${res.inferred}` : ""}`
+      );
+    }
+
+    const { rows: later } = await client.query(LATER_DAYS_SQL, [days[days.length - 1]]);
+    for (const { d } of later) await client.query(METRICS_SQL, [d]);
+    if (later.length) {
+      console.log(`movement refreshed on ${later.length} later days (${later[0].d} .. ${later[later.length - 1].d})`);
+    }
+
+    if (days.length > 1) {
+      console.log("total rows affected:", total);
+      if (inference) console.log("total grades inferred:", totalInferred);
+    }
     console.log("=== rollup_market_values_daily: done ===");
   } finally {
     await client.end();
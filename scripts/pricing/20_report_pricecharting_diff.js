@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * scripts/pricing/20_report_pricecharting_diff.js
+ *
+ * Day-over-day diff between two PriceCharting imports for one game.
+ *
+ * Compares pricecharting_prices_raw at --date (default: latest source_date)
+ * with --prev (default: the source_date before it) and reports:
+ *   - new products (in --date, not in --prev)
+ *   - disappeared products (in --prev, not in --date)
+ *   - per price column: how many prices moved, the biggest absolute moves
+ *     and the biggest percentage moves (--top per column, default 25)
+ *
+ * --min-change filters moves: "2.50" = at least $2.50, "10%" = at least 10%.
+ * Both forms can be combined ("--min-change 2.50 --min-change-pct 10").
+ *
+ * Output (in --out-dir, default ./reports):
+ *   pricecharting_diff_<game>_<prev>_<date>.json   always
+ *   pricecharting_diff_<game>_<prev>_<date>.md     --format md (default)
+ *   pricecharting_diff_<game>_<prev>_<date>.csv    --format csv
+ *
+ * Usage:
+ *   node scripts/pricing/20_report_pricecharting_diff.js --game pokemon
+ *   node scripts/pricing/20_report_pricecharting_diff.js --game mtg --date 2025-12-19 --min-change 10%
+ *   node scripts/pricing/20_report_pricecharting_diff.js --game yugioh --prev 2025-12-01 --format csv --top 100
+ *
+ * Env:
+ *   DATABASE_URL=postgres://...
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("pg");
+const { csvCell } = require("../lib/csv");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) args[key] = true;
+      else {
+        args[key] = next;
+        i++;
+      }
+    } else args._.push(a);
+  }
+  return args;
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+if (!DATABASE_URL) {
+  console.error("❌ DATABASE_URL not set");
+  process.exit(1);
+}
+
+const PRICE_COLUMNS = [
+  "loose",
+  "cib",
+  "new",
+  "graded",
+  "box_only",
+  "manual_only",
+  "bgs_10",
+  "cgc_10",
+  "psa_10",
+];
+
+function parseMinChange(args) {
+  let minCents = 0;
+  let minPct = 0;
+  const v = args["min-change"];
+  if (v != null && v !== true) {
+    const s = String(v).trim();
+    if (s.endsWith("%")) minPct = Number(s.slice(0, -1));
+    else minCents = Math.round(Number(s.replace(/[$,]/g, "")) * 100);
+  }
+  if (args["min-change-pct"] != null) minPct = Number(args["min-change-pct"]);
+  if (!Number.isFinite(minCents) || !Number.isFinite(minPct) || minCents < 0 || minPct < 0) {
+    throw new Error("--min-change must look like 2.50 or 10%");
+  }
+  return { minCents, minPct };
+}
+
+function dollars(cents) {
+  if (cents == null) return "";
+  const sign = cents < 0 ? "-" : "";
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+function pctText(p) {
+  if (p == null) return "";
+  return `${p > 0 ? "+" : ""}${(Number(p) * 100).toFixed(1)}%`;
+}
+
+function mdEscape(s) {
+  return String(s ?? "").replace(/\|/g, "\\|");
+}
+
+function renderMarkdown(report) {
+  const { game, date, prev, filters, summary } = report;
+  const lines = [];
+  lines.push(`# PriceCharting diff — ${game} ${prev} → ${date}`);
+  lines.push("");
+  lines.push(
+    `Products: ${summary.products_prev} → ${summary.products_cur} ` +
+      `(${summary.new_products} new, ${summary.disappeared_products} disappeared)`
+  );
+  if (filters.min_change_cents || filters.min_change_pct) {
+    lines.push("");
+    lines.push(
+      `Filter: moves of at least ${filters.min_change_cents ? dollars(filters.min_change_cents) : ""}` +
+        `${filters.min_change_cents && filters.min_change_pct ? " and " : ""}` +
+        `${filters.min_change_pct ? `${filters.min_change_pct}%` : ""}`
+    );
+  }
+
+  const moveTable = (rows) => {
+    lines.push("| Product | Set | Old | New | Change | % |");
+    lines.push("|---|---|---:|---:|---:|---:|");
+    for (const m of rows) {
+      lines.push(
+        `| ${mdEscape(m.product_name)} | ${mdEscape(m.console_name)} | ${dollars(m.old_cents)} | ` +
+          `${dollars(m.new_cents)} | ${dollars(m.delta_cents)} | ${pctText(m.pct)} |`
+      );
+    }
+  };
+
+  for (const col of PRICE_COLUMNS) {
+    const c = report.columns[col];
+    if (!c || !c.moved) continue;
+    lines.push("");
+    lines.push(`## ${col} — ${c.moved} moved (${c.up} up, ${c.down} down)`);
+    lines.push("");
+    lines.push("### Biggest absolute moves");
+    lines.push("");
+    moveTable(c.top_abs);
+    lines.push("");
+    lines.push("### Biggest percentage moves");
+    lines.push("");
+    moveTable(c.top_pct);
+  }
+
+  const productList = (title, rows) => {
+    lines.push("");
+    lines.push(`## ${title} (${rows.length})`);
+    lines.push("");
+    if (!rows.length) {
+      lines.push("_none_");
+      return;
+    }
+    lines.push("| PriceCharting id | Product | Set | Loose |");
+    lines.push("|---|---|---|---:|");
+    for (const p of rows) {
+      lines.push(
+        `| ${mdEscape(p.pricecharting_id)} | ${mdEscape(p.product_name)} | ${mdEscape(p.console_name)} | ${dollars(p.loose_price_cents)} |`
+      );
+    }
+  };
+  productList("New products", report.new_products);
+  productList("Disappeared products", report.disappeared_products);
+
+  return lines.join("\n") + "\n";
+}
+
+function renderCsv(report) {
+  const header = [
+    "section",
+    "column",
+    "pricecharting_id",
+    "product_name",
+    "console_name",
+    "old_cents",
+    "new_cents",
+    "delta_cents",
+    "pct",
+  ];
+  const out = [header.join(",")];
+  const push = (cells) => out.push(cells.map(csvCell).join(","));
+
+  for (const col of PRICE_COLUMNS) {
+    const c = report.columns[col];
+    if (!c) continue;
+    for (const [section, rows] of [["top_abs", c.top_abs], ["top_pct", c.top_pct]]) {
+      for (const m of rows) {
+        push([section, col, m.pricecharting_id, m.product_name, m.console_name, m.old_cents, m.new_cents, m.delta_cents, m.pct]);
+      }
+    }
+  }
+  for (const p of report.new_products) {
+    push(["new", "loose", p.pricecharting_id, p.product_name, p.console_name, "", p.loose_price_cents, "", ""]);
+  }
+  for (const p of report.disappeared_products) {
+    push(["disappeared", "loose", p.pricecharting_id, p.product_name, p.console_name, p.loose_price_cents, "", "", ""]);
+  }
+  return out.join("\n") + "\n";
+}
+
+(async function main() {
+  const args = parseArgs(process.argv);
+  const game = String(args.game || "").toLowerCase();
+  const format = String(args.format || "md").toLowerCase();
+  const outDir = String(args["out-dir"] || "./reports");
+  const top = Number(args.top || 25);
+
+  if (!["pokemon", "yugioh", "mtg"].includes(game)) {
+    console.error("❌ --game must be pokemon|yugioh|mtg");
+    process.exit(1);
+  }
+  if (!["md", "csv"].includes(format)) {
+    console.error("❌ --format must be md|csv");
+    process.exit(1);
+  }
+  if (!Number.isInteger(top) || top < 1) {
+    console.error("❌ --top must be a positive integer");
+    process.exit(1);
+  }
+  const { minCents, minPct } = parseMinChange(args);
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  try {
+    const { rows: dateRows } = await client.query(
+      `WITH cur AS (
+         SELECT COALESCE($2::date, MAX(source_date)) AS d
+         FROM public.pricecharting_prices_raw
+         WHERE game = $1
+       )
+       SELECT
+         cur.d::text AS date,
+         COALESCE(
+           $3::date,
+           (SELECT MAX(source_date) FROM public.pricecharting_prices_raw WHERE game = $1 AND source_date < cur.d)
+         )::text AS prev
+       FROM cur`,
+      [game, args.date ? String(args.date) : null, args.prev ? String(args.prev) : null]
+    );
+    const { date, prev } = dateRows[0];
+    if (!date || !prev) {
+      console.error(`❌ Need two source_dates for ${game} to diff (have date=${date}, prev=${prev})`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`📈 PriceCharting diff for ${game}: ${prev} → ${date}`);
+
+    const dayCte = `
+      WITH cur AS (
+        SELECT * FROM public.pricecharting_prices_raw WHERE game = $1 AND source_date = $2::date
+      ),
+      prev AS (
+        SELECT * FROM public.pricecharting_prices_raw WHERE game = $1 AND source_date = $3::date
+      )
+    `;
+    const dayParams = [game, date, prev];
+
+    const { rows: counts } = await client.query(
+      `${dayCte}
+       SELECT
+         (SELECT COUNT(*) FROM cur)::int AS products_cur,
+         (SELECT COUNT(*) FROM prev)::int AS products_prev`,
+      dayParams
+    );
+
+    const productCols = "pricecharting_id, product_name, console_name, loose_price_cents";
+    const { rows: newProducts } = await client.query(
+      `${dayCte}
+       SELECT ${productCols} FROM cur c
+       WHERE NOT EXISTS (SELECT 1 FROM prev p WHERE p.pricecharting_id = c.pricecharting_id)
+       ORDER BY loose_price_cents DESC NULLS LAST, product_name`,
+      dayParams
+    );
+    const { rows: goneProducts } = await client.query(
+      `${dayCte}
+       SELECT ${productCols} FROM prev p
+       WHERE NOT EXISTS (SELECT 1 FROM cur c WHERE c.pricecharting_id = p.pricecharting_id)
+       ORDER BY loose_price_cents DESC NULLS LAST, product_name`,
+      dayParams
+    );
+
+    const unpivot = PRICE_COLUMNS.map(
+      (col) => `('${col}', p.${col}_price_cents, c.${col}_price_cents)`
+    ).join(",\n            ");
+
+    const { rows: moves } = await client.query(
+      `${dayCte},
+       moves AS (
+         SELECT
+           c.pricecharting_id, c.product_name, c.console_name,
+           v.col,
+           v.old_cents,
+           v.new_cents,
+           (v.new_cents - v.old_cents) AS delta_cents,
+           CASE WHEN v.old_cents > 0 THEN ROUND((v.new_cents - v.old_cents)::numeric / v.old_cents, 4) END AS pct
+         FROM cur c
+         JOIN prev p USING (pricecharting_id)
+         CROSS JOIN LATERAL (
+           VALUES
+            ${unpivot}
+         ) AS v(col, old_cents, new_cents)
+         WHERE v.old_cents IS NOT NULL
+           AND v.new_cents IS NOT NULL
+           AND v.new_cents <> v.old_cents
+           AND ABS(v.new_cents - v.old_cents) >= $4::int
+           AND ($5::numeric = 0 OR (v.old_cents > 0 AND ABS(v.new_cents - v.old_cents)::numeric / v.old_cents * 100 >= $5::numeric))
+       ),
+       ranked AS (
+         SELECT
+           m.*,
+           COUNT(*) OVER (PARTITION BY col) AS moved,
+           COUNT(*) FILTER (WHERE delta_cents > 0) OVER (PARTITION BY col) AS up,
+           ROW_NUMBER() OVER (PARTITION BY col ORDER BY ABS(delta_cents) DESC, pricecharting_id) AS rn_abs,
+           ROW_NUMBER() OVER (PARTITION BY col ORDER BY ABS(pct) DESC NULLS LAST, pricecharting_id) AS rn_pct
+         FROM moves m
+       )
+       SELECT *
+       FROM ranked
+       WHERE rn_abs <= $6::int OR rn_pct <= $6::int`,
+      [...dayParams, minCents, minPct, top]
+    );
+
+    const columns = {};
+    for (const m of moves) {
+      const c = (columns[m.col] ||= {
+        moved: Number(m.moved),
+        up: Number(m.up),
+        down: Number(m.moved) - Number(m.up),
+        top_abs: [],
+        top_pct: [],
+      });
+      const row = {
+        pricecharting_id: m.pricecharting_id,
+        product_name: m.product_name,
+        console_name: m.console_name,
+        old_cents: m.old_cents,
+        new_cents: m.new_cents,
+        delta_cents: m.delta_cents,
+        pct: m.pct == null ? null : Number(m.pct),
+      };
+      if (Number(m.rn_abs) <= top) c.top_abs[Number(m.rn_abs) - 1] = row;
+      if (Number(m.rn_pct) <= top) c.top_pct[Number(m.rn_pct) - 1] = row;
+    }
+    for (const c of Object.values(columns)) {
+      c.top_abs = c.top_abs.filter(Boolean);
+      c.top_pct = c.top_pct.filter(Boolean);
+    }
+
+    const report = {
+      game,
+      date,
+      prev,
+      generated_at: new Date().toISOString(),
+      filters: { min_change_cents: minCents, min_change_pct: minPct, top },
+      summary: {
+        ...counts[0],
+        new_products: newProducts.length,
+        disappeared_products: goneProducts.length,
+        moved_by_column: Object.fromEntries(Object.entries(columns).map(([k, c]) => [k, c.moved])),
+      },
+      columns,
+      new_products: newProducts,
+      disappeared_products: goneProducts,
+    };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const base = path.join(outDir, `pricecharting_diff_${game}_${prev}_${date}`);
+    fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2) + "\n", "utf8");
+    fs.writeFileSync(`${base}.${format}`, format === "md" ? renderMarkdown(report) : renderCsv(report), "utf8");
+
+    console.log(
+      `✅ ${report.summary.new_products} new, ${report.summary.disappeared_products} disappeared, ` +
+        `moves: ${Object.entries(report.summary.moved_by_column).map(([k, n]) => `${k}=${n}`).join(" ") || "none"}`
+    );
+    console.log(`✅ Wrote ${base}.json and ${base}.${format}`);
+  } finally {
+    await client.end();
+  }
+})().catch((err) => {
+  console.error("❌ Error building PriceCharting diff:", err?.stack || err?.message || err);
+  process.exit(1);
+});
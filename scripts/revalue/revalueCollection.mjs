@@ -4,9 +4,14 @@
 //
 // Run:
 //   node scripts/revalueCollection.mjs
+//
+// Prices come from scripts/lib/priceResolver.js: the pipeline's market_price_daily /
+// market_values_daily first, vendor price tables as fallback. Items are priced by
+// variant / grade / condition when user_collection_items has those columns.
 
 import "dotenv/config";
 import pg from "pg";
+import { resolvePrices } from "../lib/priceResolver.js";
 
 const { Pool } = pg;
 
@@ -27,6 +32,16 @@ async function main() {
     const asOfDate = dateRows[0]?.d;
     console.log("as_of_date:", asOfDate);
 
+    // Optional per-copy columns the resolver can use
+    const { rows: colRows } = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+        AND table_name = 'user_collection_items'
+        AND column_name IN ('variant', 'grade', 'condition')
+    `);
+    const optionalCols = colRows.map((r) => r.column_name);
+
     // Load all collection items
     const { rows: items } = await client.query(`
       SELECT
@@ -35,7 +50,8 @@ async function main() {
         game,
         card_id,
         quantity,
-        cost_cents
+        cost_cents${optionalCols.map((c) => `,
+        ${c}`).join("")}
       FROM user_collection_items
       ORDER BY user_id, game, card_id
     `);
@@ -46,12 +62,24 @@ async function main() {
     }
     console.log(`Found ${items.length} collection items`);
 
-    // Load vendor prices into maps
-    const [pokemonPrices, ygoPrices, mtgPrices] = await Promise.all([
-      loadPokemonPrices(client),
-      loadYgoPrices(client),
-      loadMtgPrices(client),
-    ]);
+    // Resolve one price per item (as of today)
+    const prices = await resolvePrices(
+      client,
+      items.map((item) => ({
+        game: item.game,
+        cardId: item.card_id,
+        variant: item.variant,
+        grade: item.grade,
+        condition: item.condition,
+      }))
+    );
+
+    const bySource = {};
+    for (const p of prices) {
+      const key = p ? p.source : "(no price)";
+      bySource[key] = (bySource[key] || 0) + 1;
+    }
+    console.log("Prices by source:", bySource);
 
     // Aggregators per user for daily snapshot
     const perUser = new Map(); // userId -> { totalQty, distinctItems, totalCostCents, totalValueCents }
@@ -59,17 +87,10 @@ async function main() {
     // Per-item updates to last_value_cents
     const updates = [];
 
-    for (const item of items) {
-      const price = getPriceForItem(item, {
-        pokemonPrices,
-        ygoPrices,
-        mtgPrices,
-      });
-
+    for (const [i, item] of items.entries()) {
       const qty = Number(item.quantity || 0);
 
-      const priceCents =
-        price != null && Number.isFinite(price) ? Math.round(price * 100) : null;
+      const priceCents = prices[i]?.valueCents ?? null;
 
       // NOTE: this is per-unit last_value_cents (matches your existing update behavior)
       updates.push({
@@ -183,112 +204,6 @@ async function main() {
   }
 }
 
-// ---- Price loaders --------------------------------------------------
-
-async function loadPokemonPrices(client) {
-  // Use numeric columns first, then safely parse variant text if it's numeric.
-  const { rows } = await client.query(`
-    SELECT
-      card_id,
-      COALESCE(
-        market_price,
-        mid_price,
-        CASE WHEN normal ~ '^[0-9]+(\\.[0-9]+)?$' THEN normal::numeric END,
-        CASE WHEN reverse_holofoil ~ '^[0-9]+(\\.[0-9]+)?$' THEN reverse_holofoil::numeric END,
-        CASE WHEN holofoil ~ '^[0-9]+(\\.[0-9]+)?$' THEN holofoil::numeric END,
-        CASE WHEN first_edition_holofoil ~ '^[0-9]+(\\.[0-9]+)?$' THEN first_edition_holofoil::numeric END,
-        CASE WHEN first_edition_normal ~ '^[0-9]+(\\.[0-9]+)?$' THEN first_edition_normal::numeric END
-      ) AS tp_price
-    FROM tcg_card_prices_tcgplayer
-  `);
-
-  const map = new Map();
-  for (const r of rows) {
-    if (r.card_id && r.tp_price != null) {
-      map.set(r.card_id, Number(r.tp_price));
-    }
-  }
-
-  // Optional eBay fallback if table exists
-  try {
-    const { rows: ebayRows } = await client.query(`
-      SELECT card_id, median
-      FROM tcg_card_prices_ebay
-      WHERE game = 'pokemon'
-    `);
-
-    for (const r of ebayRows) {
-      if (r.card_id && r.median != null && !map.has(r.card_id)) {
-        map.set(r.card_id, Number(r.median));
-      }
-    }
-  } catch (e) {
-    console.warn("Pokemon eBay fallback skipped:", e?.message || e);
-  }
-
-  console.log(`Loaded ${map.size} Pokémon price entries`);
-  return map;
-}
-
-async function loadYgoPrices(client) {
-  const { rows } = await client.query(`
-    SELECT
-      card_id,
-      COALESCE(
-        NULLIF(TRIM(tcgplayer_price::text), '')::numeric,
-        NULLIF(TRIM(cardmarket_price::text), '')::numeric,
-        NULLIF(TRIM(amazon_price::text), '')::numeric,
-        NULLIF(TRIM(coolstuffinc_price::text), '')::numeric,
-        NULLIF(TRIM(ebay_price::text), '')::numeric
-      ) AS price
-    FROM ygo_card_prices
-  `);
-
-  const map = new Map();
-  for (const r of rows) {
-    if (r.card_id && r.price != null) {
-      map.set(r.card_id, Number(r.price));
-    }
-  }
-
-  console.log(`Loaded ${map.size} Yu-Gi-Oh! price entries`);
-  return map;
-}
-
-async function loadMtgPrices(client) {
-  const { rows } = await client.query(`
-    SELECT
-      scryfall_id,
-      effective_usd AS price
-    FROM mtg_prices_effective
-  `);
-
-  const map = new Map();
-  for (const r of rows) {
-    if (r.scryfall_id && r.price != null) {
-      map.set(r.scryfall_id, Number(r.price));
-    }
-  }
-
-  console.log(`Loaded ${map.size} MTG price entries`);
-  return map;
-}
-
-// ---- Price selection per item ---------------------------------------
-
-function getPriceForItem(item, maps) {
-  const game = String(item.game || "").toLowerCase();
-  const cardId = item.card_id;
-
-  if (!cardId) return null;
-
-  if (game === "pokemon") return maps.pokemonPrices.get(cardId) ?? null;
-  if (game === "ygo" || game === "yugioh") return maps.ygoPrices.get(cardId) ?? null;
-  if (game === "mtg" || game === "magic") return maps.mtgPrices.get(cardId) ?? null;
-
-  return null; // other categories not wired yet
-}
-
 // ---- Kick off -------------------------------------------------------
 
 main().catch((err) => {